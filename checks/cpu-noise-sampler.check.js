@@ -0,0 +1,126 @@
+// Checks the CPU noise sampler against the shader it ports: the fragment
+// shader is read from threejs-3d-noise-midi.js and run through a small GLSL
+// interpreter, then snoise3d, snoise4d, fieldNoise and sampleNoiseAt are
+// compared with it at seeded pseudo-random points for every noise type.
+// Run with `npm run check`.
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { compileGLSL } from './glsl-subset.js';
+import { snoise3d, snoise4d, fieldNoise, sampleNoiseAt, NOISE_TYPES } from '../cpu-noise-sampler.js';
+
+// The interpreter rounds like the GPU (float32) while the port runs in
+// float64; porting mistakes show up as differences of 0.01 and more
+const TOLERANCE = 1e-3;
+
+// ---- Load the display fragment shader ----
+
+const appSource = readFileSync(new URL('../threejs-3d-noise-midi.js', import.meta.url), 'utf8');
+const shaderStart = appSource.indexOf('fragmentShader: /* glsl */`', appSource.indexOf('const simplexNoiseShader'));
+assert.ok(shaderStart >= 0, 'simplexNoiseShader fragment shader not found');
+const bodyStart = appSource.indexOf('`', shaderStart) + 1;
+const fragmentShader = appSource.slice(bodyStart, appSource.indexOf('`', bodyStart));
+
+// The sampling shader's main up to the noise value, with the per-probe time
+// offset the sampling material adds, returning the clamped value it writes
+const sampledMain = fragmentShader.match(/void main\(\) \{([\s\S]*?float value = [^;]*;)/);
+assert.ok(sampledMain, 'fragment shader main not found');
+const shader = compileGLSL(
+  fragmentShader.slice(0, sampledMain.index).replace('varying vec3 vNormal;', 'varying float vTimeOffset;') +
+  `float sampleValue() {${sampledMain[1].replace('uTime * uTimeScale', '(uTime + vTimeOffset) * uTimeScale')}
+    return clamp(value, 0.0, 1.0);
+  }`
+);
+
+// ---- Seeded points ----
+
+let seed = 0x2545F491;
+function random() {
+  // xorshift32, so failures reproduce
+  seed ^= seed << 13;
+  seed ^= seed >>> 17;
+  seed ^= seed << 5;
+  return (seed >>> 0) / 0x100000000;
+}
+const between = (lo, hi) => lo + random() * (hi - lo);
+
+function assertClose(actual, expected, label) {
+  assert.ok(
+    Math.abs(actual - expected) <= TOLERANCE,
+    `${label}: CPU ${actual} vs shader ${expected}`
+  );
+}
+
+// ---- Raw noise ----
+
+const POINTS = 400;
+for (let i = 0; i < POINTS; i++) {
+  const v = [between(-300, 300), between(-300, 300), between(-300, 300), between(-300, 300)];
+  assertClose(snoise3d(v[0], v[1], v[2]), shader.call('snoise3d', v.slice(0, 3)), `snoise3d(${v.slice(0, 3)})`);
+  assertClose(snoise4d(...v), shader.call('snoise4d', v), `snoise4d(${v})`);
+}
+console.log(`✓ snoise3d and snoise4d match the shader at ${POINTS} points`);
+
+// ---- Field noise and sampling ----
+
+// Rotation about a tilted axis, column-major like THREE.Matrix3.elements
+function rotation(axis, angle) {
+  const length = Math.hypot(...axis);
+  const [x, y, z] = axis.map(a => a / length);
+  const c = Math.cos(angle);
+  const s = Math.sin(angle);
+  const t = 1 - c;
+  return [
+    t * x * x + c, t * x * y + s * z, t * x * z - s * y,
+    t * x * y - s * z, t * y * y + c, t * y * z + s * x,
+    t * x * z + s * y, t * y * z - s * x, t * z * z + c
+  ];
+}
+
+const FIELD_POINTS = 40;
+let configurations = 0;
+for (const noiseType of Object.values(NOISE_TYPES)) {
+  for (const octaves of [1, 3, 8]) {
+    for (const noise4D of [false, true]) {
+      const params = {
+        spatialScale: between(0.2, 2),
+        timeScale: between(0.1, 1),
+        time: between(0, 60),
+        noiseType,
+        octaves,
+        lacunarity: between(1.5, 2.2),
+        gain: between(0.3, 0.45),
+        warpStrength: between(0.5, 2),
+        noise4D,
+        fieldRotation: rotation([between(-1, 1), between(-1, 1), between(0.1, 1)], between(0, Math.PI * 2)),
+        seedOffset: { x: between(0, 128), y: between(0, 128), z: between(0, 128), w: between(0, 128) }
+      };
+
+      shader.set('uSpatialScale', params.spatialScale);
+      shader.set('uTimeScale', params.timeScale);
+      shader.set('uTime', params.time);
+      shader.set('uNoiseType', params.noiseType);
+      shader.set('uOctaves', params.octaves);
+      shader.set('uLacunarity', params.lacunarity);
+      shader.set('uGain', params.gain);
+      shader.set('uWarpStrength', params.warpStrength);
+      shader.set('uNoise4D', params.noise4D);
+      shader.set('uFieldRotation', { mat3: params.fieldRotation });
+      const { x, y, z, w } = params.seedOffset;
+      shader.set('uSeedOffset', [x, y, z, w]);
+
+      const label = `noiseType ${noiseType}, ${octaves} octaves, ${noise4D ? '4D' : '3D'}`;
+      for (let i = 0; i < FIELD_POINTS; i++) {
+        const p = [between(-20, 20), between(-20, 20), between(-20, 20)];
+        const pw = between(-50, 50);
+        assertClose(fieldNoise(...p, pw, params), shader.call('fieldNoise', p, pw), `fieldNoise (${label})`);
+
+        const point = { x: between(-2, 2), y: between(-2, 2), z: between(-2, 2), timeOffset: i % 2 ? between(0, 4) : 0 };
+        shader.set('vWorldPos', [point.x, point.y, point.z]);
+        shader.set('vTimeOffset', point.timeOffset);
+        assertClose(sampleNoiseAt(point, params), shader.call('sampleValue'), `sampleNoiseAt (${label})`);
+      }
+      configurations++;
+    }
+  }
+}
+console.log(`✓ fieldNoise and sampleNoiseAt match the shader in ${configurations} field configurations`);
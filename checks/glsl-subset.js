@@ -0,0 +1,547 @@
+// ============================================================================
+// GLSL SUBSET INTERPRETER (for checks)
+// ============================================================================
+//
+// Runs the shader's own noise functions on the CPU so checks can compare
+// them with their JavaScript ports without a GPU. Covers the GLSL the noise
+// shader uses: scalar / vector / mat3 values, swizzles (also as assignment
+// targets), overloaded helper functions, if, for with break, and #define.
+// Literals, uniforms and every arithmetic result are rounded to float32,
+// like highp float on the GPU (no fused multiply-add), so floor() and fract()
+// land on the same side of lattice boundaries as they do there.
+
+const TYPE_SIZES = {
+  void: 0, bool: 1, int: 1, float: 1,
+  vec2: 2, vec3: 3, vec4: 4,
+  bvec2: 2, bvec3: 3, bvec4: 4,
+  mat3: 9
+};
+
+const SWIZZLE_INDEX = { x: 0, y: 1, z: 2, w: 3, r: 0, g: 1, b: 2, a: 3 };
+
+const TOKEN_PATTERN = /\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/|(\d+\.\d*(?:[eE][-+]?\d+)?|\.\d+(?:[eE][-+]?\d+)?|\d+[eE][-+]?\d+|\d+)|([A-Za-z_]\w*)|(\+\+|--|\+=|-=|\*=|\/=|==|!=|<=|>=|&&|\|\||[-+*/<>=!(){}[\],;.?:])/y;
+
+const BREAK = { type: 'break' };
+
+const f32 = Math.fround;
+
+// Componentwise operation with scalar broadcast
+function zip(a, b, f) {
+  const arrayA = Array.isArray(a);
+  const arrayB = Array.isArray(b);
+  if (!arrayA && !arrayB) return f(a, b);
+  if (arrayA && arrayB) return a.map((x, i) => f(x, b[i]));
+  return arrayA ? a.map(x => f(x, b)) : b.map(y => f(a, y));
+}
+
+function map(a, f) {
+  return Array.isArray(a) ? a.map(f) : f(a);
+}
+
+function multiply(a, b) {
+  if (a && a.mat3) {
+    // Column-major mat3 times vec3
+    const m = a.mat3;
+    return [
+      f32(f32(f32(m[0] * b[0]) + f32(m[3] * b[1])) + f32(m[6] * b[2])),
+      f32(f32(f32(m[1] * b[0]) + f32(m[4] * b[1])) + f32(m[7] * b[2])),
+      f32(f32(f32(m[2] * b[0]) + f32(m[5] * b[1])) + f32(m[8] * b[2]))
+    ];
+  }
+  return zip(a, b, (x, y) => f32(x * y));
+}
+
+function dot(a, b) {
+  if (!Array.isArray(a)) return f32(a * b);
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum = f32(sum + f32(a[i] * b[i]));
+  return sum;
+}
+
+const BUILTINS = {
+  floor: x => map(x, Math.floor),
+  fract: x => map(x, v => f32(v - Math.floor(v))),
+  abs: x => map(x, Math.abs),
+  sqrt: x => map(x, v => f32(Math.sqrt(v))),
+  sin: x => map(x, v => f32(Math.sin(v))),
+  cos: x => map(x, v => f32(Math.cos(v))),
+  pow: (x, y) => zip(x, y, (a, b) => f32(Math.pow(a, b))),
+  step: (edge, x) => zip(edge, x, (e, v) => (v < e ? 0 : 1)),
+  min: (x, y) => zip(x, y, Math.min),
+  max: (x, y) => zip(x, y, Math.max),
+  clamp: (x, lo, hi) => zip(zip(x, lo, Math.max), hi, Math.min),
+  mix: (a, b, t) => zip(a, zip(zip(b, a, (y, x) => f32(y - x)), t, (d, s) => f32(d * s)), (x, d) => f32(x + d)),
+  dot,
+  length: x => f32(Math.sqrt(dot(x, x))),
+  normalize: x => {
+    const length = f32(Math.sqrt(dot(x, x)));
+    return map(x, v => f32(v / length));
+  },
+  lessThan: (a, b) => zip(a, b, (x, y) => (x < y ? 1 : 0))
+};
+
+function copy(value) {
+  return Array.isArray(value) ? value.slice() : value;
+}
+
+function construct(type, args) {
+  const size = TYPE_SIZES[type];
+  const flat = [];
+  args.forEach(arg => {
+    if (Array.isArray(arg)) flat.push(...arg);
+    else flat.push(Number(arg));
+  });
+  if (type === 'float' || type === 'bool') return flat[0];
+  if (type === 'int') return Math.trunc(flat[0]);
+  if (flat.length === 1) return new Array(size).fill(flat[0]);
+  return flat.slice(0, size);
+}
+
+function zeroOf(type) {
+  const size = TYPE_SIZES[type];
+  if (type === 'mat3') return { mat3: [1, 0, 0, 0, 1, 0, 0, 0, 1] };
+  return size === 1 ? 0 : new Array(size).fill(0);
+}
+
+function lookup(scope, name) {
+  let owner = scope;
+  while (owner && !Object.prototype.hasOwnProperty.call(owner, name)) {
+    owner = Object.getPrototypeOf(owner);
+  }
+  if (!owner) throw new Error(`GLSL: unknown identifier ${name}`);
+  return owner;
+}
+
+function tokenize(source) {
+  // #define NAME VALUE is substituted; other directives are not supported
+  const defines = {};
+  const body = source.split('\n').map(line => {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('#')) return line;
+    const define = trimmed.match(/^#define\s+(\w+)\s+(.+)$/);
+    if (!define) throw new Error(`GLSL: unsupported directive ${trimmed}`);
+    defines[define[1]] = define[2].trim();
+    return '';
+  }).join('\n');
+
+  // Own regex per call: #define values are tokenized recursively
+  const pattern = new RegExp(TOKEN_PATTERN);
+  const tokens = [];
+  while (pattern.lastIndex < body.length) {
+    const start = pattern.lastIndex;
+    const match = pattern.exec(body);
+    if (!match) throw new Error(`GLSL: unexpected input at ${body.slice(start, start + 20)}`);
+    const [, number, word, symbol] = match;
+    if (number !== undefined) {
+      const isFloat = /[.eE]/.test(number);
+      tokens.push({ kind: 'number', value: isFloat ? Math.fround(parseFloat(number)) : parseInt(number, 10) });
+    } else if (word !== undefined) {
+      if (defines[word] !== undefined) {
+        tokens.push(...tokenize(defines[word]));
+      } else {
+        tokens.push({ kind: 'word', value: word });
+      }
+    } else if (symbol !== undefined) {
+      tokens.push({ kind: 'symbol', value: symbol });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Compile GLSL source. Returns a program whose globals (uniforms, varyings)
+ * can be set and whose functions can be called with numbers and arrays.
+ */
+export function compileGLSL(source) {
+  const tokens = tokenize(source);
+  let position = 0;
+
+  const globals = {};
+  const functions = {};
+  const initializers = [];
+
+  const peek = (offset = 0) => tokens[position + offset];
+  const isSymbol = (value, offset = 0) => {
+    const token = peek(offset);
+    return token && token.kind === 'symbol' && token.value === value;
+  };
+  const isWord = (value, offset = 0) => {
+    const token = peek(offset);
+    return token && token.kind === 'word' && token.value === value;
+  };
+  const isType = (offset = 0) => {
+    const token = peek(offset);
+    return token && token.kind === 'word' && TYPE_SIZES[token.value] !== undefined;
+  };
+  const next = () => tokens[position++];
+  const expect = value => {
+    const token = next();
+    if (!token || token.value !== value) {
+      throw new Error(`GLSL: expected ${value}, got ${token ? token.value : 'end of input'}`);
+    }
+    return token;
+  };
+  const word = () => {
+    const token = next();
+    if (!token || token.kind !== 'word') throw new Error('GLSL: expected an identifier');
+    return token.value;
+  };
+
+  // ---- Expressions: each compiles to { ev(scope), set?(scope, value) } ----
+
+  function parseExpression() {
+    const target = parseConditional();
+    const token = peek();
+    if (token && token.kind === 'symbol' && ['=', '+=', '-=', '*=', '/='].includes(token.value)) {
+      next();
+      const value = parseExpression();
+      if (!target.set) throw new Error('GLSL: assignment to a non-lvalue');
+      const op = token.value;
+      return {
+        ev(scope) {
+          let result = value.ev(scope);
+          if (op !== '=') {
+            const current = target.ev(scope);
+            result = BINARY_OPS[op[0]](current, result);
+          }
+          target.set(scope, result);
+          return result;
+        }
+      };
+    }
+    return target;
+  }
+
+  function parseConditional() {
+    const condition = parseBinary(0);
+    if (!isSymbol('?')) return condition;
+    next();
+    const whenTrue = parseExpression();
+    expect(':');
+    const whenFalse = parseExpression();
+    return { ev: scope => (condition.ev(scope) ? whenTrue.ev(scope) : whenFalse.ev(scope)) };
+  }
+
+  const BINARY_LEVELS = [
+    ['||'], ['&&'], ['==', '!='], ['<', '>', '<=', '>='], ['+', '-'], ['*', '/']
+  ];
+  const BINARY_OPS = {
+    '||': (a, b) => a || b,
+    '&&': (a, b) => a && b,
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+    '<': (a, b) => a < b,
+    '>': (a, b) => a > b,
+    '<=': (a, b) => a <= b,
+    '>=': (a, b) => a >= b,
+    '+': (a, b) => zip(a, b, (x, y) => f32(x + y)),
+    '-': (a, b) => zip(a, b, (x, y) => f32(x - y)),
+    '*': multiply,
+    '/': (a, b) => zip(a, b, (x, y) => f32(x / y))
+  };
+
+  function parseBinary(level) {
+    if (level === BINARY_LEVELS.length) return parseUnary();
+    let left = parseBinary(level + 1);
+    while (peek() && peek().kind === 'symbol' && BINARY_LEVELS[level].includes(peek().value)) {
+      const op = BINARY_OPS[next().value];
+      const lhs = left;
+      const rhs = parseBinary(level + 1);
+      left = { ev: scope => op(lhs.ev(scope), rhs.ev(scope)) };
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    if (isSymbol('-')) {
+      next();
+      const operand = parseUnary();
+      return { ev: scope => map(operand.ev(scope), v => -v) };
+    }
+    if (isSymbol('+')) {
+      next();
+      return parseUnary();
+    }
+    if (isSymbol('!')) {
+      next();
+      const operand = parseUnary();
+      return { ev: scope => !operand.ev(scope) };
+    }
+    return parsePostfix();
+  }
+
+  function parsePostfix() {
+    let node = parsePrimary();
+    for (;;) {
+      if (isSymbol('.')) {
+        next();
+        node = swizzle(node, word());
+      } else if (isSymbol('++') || isSymbol('--')) {
+        const delta = next().value === '++' ? 1 : -1;
+        const target = node;
+        node = {
+          ev(scope) {
+            const value = target.ev(scope);
+            target.set(scope, value + delta);
+            return value;
+          }
+        };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  function swizzle(base, letters) {
+    const indices = [...letters].map(letter => SWIZZLE_INDEX[letter]);
+    if (indices.some(index => index === undefined)) throw new Error(`GLSL: bad swizzle .${letters}`);
+    return {
+      ev(scope) {
+        const value = base.ev(scope);
+        return indices.length === 1 ? value[indices[0]] : indices.map(index => value[index]);
+      },
+      set(scope, value) {
+        // Writes into the vector held by the base variable
+        const target = base.ev(scope);
+        indices.forEach((index, i) => {
+          target[index] = Array.isArray(value) ? value[i] : value;
+        });
+      }
+    };
+  }
+
+  function parsePrimary() {
+    const token = next();
+    if (!token) throw new Error('GLSL: unexpected end of input');
+
+    if (token.kind === 'number') {
+      const value = token.value;
+      return { ev: () => value };
+    }
+    if (token.kind === 'symbol' && token.value === '(') {
+      const inner = parseExpression();
+      expect(')');
+      return inner;
+    }
+    if (token.kind !== 'word') throw new Error(`GLSL: unexpected ${token.value}`);
+
+    const name = token.value;
+    if (name === 'true' || name === 'false') {
+      const value = name === 'true';
+      return { ev: () => value };
+    }
+
+    if (isSymbol('(')) {
+      next();
+      const args = [];
+      while (!isSymbol(')')) {
+        args.push(parseExpression());
+        if (isSymbol(',')) next();
+      }
+      expect(')');
+
+      if (TYPE_SIZES[name] !== undefined) {
+        return { ev: scope => construct(name, args.map(arg => arg.ev(scope))) };
+      }
+      if (BUILTINS[name]) {
+        const builtin = BUILTINS[name];
+        return { ev: scope => builtin(...args.map(arg => arg.ev(scope))) };
+      }
+      return { ev: scope => callFunction(name, args.map(arg => arg.ev(scope))) };
+    }
+
+    return {
+      ev(scope) {
+        return lookup(scope, name)[name];
+      },
+      set(scope, value) {
+        lookup(scope, name)[name] = copy(value);
+      }
+    };
+  }
+
+  // ---- Statements: each compiles to scope => undefined | BREAK | { value } ----
+
+  function parseDeclaration() {
+    if (isWord('const')) next();
+    const type = word();
+    const declarators = [];
+    do {
+      if (declarators.length > 0) expect(',');
+      const name = word();
+      let init = null;
+      if (isSymbol('=')) {
+        next();
+        init = parseExpression();
+      }
+      declarators.push({ name, init });
+    } while (isSymbol(','));
+    expect(';');
+    return scope => {
+      declarators.forEach(({ name, init }) => {
+        scope[name] = init ? copy(init.ev(scope)) : zeroOf(type);
+      });
+    };
+  }
+
+  function parseBlock() {
+    expect('{');
+    const statements = [];
+    while (!isSymbol('}')) statements.push(parseStatement());
+    expect('}');
+    return scope => {
+      const inner = Object.create(scope);
+      for (const statement of statements) {
+        const signal = statement(inner);
+        if (signal) return signal;
+      }
+      return undefined;
+    };
+  }
+
+  function parseStatement() {
+    if (isSymbol('{')) return parseBlock();
+
+    if (isWord('if')) {
+      next();
+      expect('(');
+      const condition = parseExpression();
+      expect(')');
+      const whenTrue = parseStatement();
+      let whenFalse = null;
+      if (isWord('else')) {
+        next();
+        whenFalse = parseStatement();
+      }
+      return scope => {
+        if (condition.ev(scope)) return whenTrue(scope);
+        return whenFalse ? whenFalse(scope) : undefined;
+      };
+    }
+
+    if (isWord('for')) {
+      next();
+      expect('(');
+      const init = isType() ? parseDeclaration() : parseExpressionStatement();
+      const condition = parseExpression();
+      expect(';');
+      const step = parseExpression();
+      expect(')');
+      const body = parseStatement();
+      return scope => {
+        const loopScope = Object.create(scope);
+        init(loopScope);
+        while (condition.ev(loopScope)) {
+          const signal = body(loopScope);
+          if (signal === BREAK) break;
+          if (signal) return signal;
+          step.ev(loopScope);
+        }
+        return undefined;
+      };
+    }
+
+    if (isWord('return')) {
+      next();
+      if (isSymbol(';')) {
+        next();
+        return () => ({ value: undefined });
+      }
+      const value = parseExpression();
+      expect(';');
+      return scope => ({ value: value.ev(scope) });
+    }
+
+    if (isWord('break')) {
+      next();
+      expect(';');
+      return () => BREAK;
+    }
+
+    if (isWord('const') || (isType() && peek(1) && peek(1).kind === 'word')) {
+      return parseDeclaration();
+    }
+
+    return parseExpressionStatement();
+  }
+
+  function parseExpressionStatement() {
+    const expression = parseExpression();
+    expect(';');
+    return scope => {
+      expression.ev(scope);
+    };
+  }
+
+  function callFunction(name, args) {
+    const overloads = functions[name];
+    if (!overloads) throw new Error(`GLSL: unknown function ${name}`);
+    const fn = overloads.find(overload => overload.params.length === args.length);
+    if (!fn) throw new Error(`GLSL: no overload of ${name} takes ${args.length} arguments`);
+    const scope = Object.create(globals);
+    fn.params.forEach((param, i) => {
+      scope[param] = copy(args[i]);
+    });
+    const signal = fn.body(scope);
+    return signal && signal !== BREAK ? signal.value : undefined;
+  }
+
+  // ---- Top level ----
+
+  while (position < tokens.length) {
+    if (isWord('precision')) {
+      while (!isSymbol(';')) next();
+      next();
+      continue;
+    }
+    if (isWord('uniform') || isWord('varying') || isWord('attribute')) {
+      next();
+      const type = word();
+      const name = word();
+      expect(';');
+      globals[name] = zeroOf(type);
+      continue;
+    }
+    if (isWord('const')) {
+      initializers.push(parseDeclaration());
+      continue;
+    }
+
+    if (!isType()) throw new Error(`GLSL: unexpected ${peek().value} at top level`);
+    if (peek(2) && peek(2).kind === 'symbol' && peek(2).value === '(') {
+      next(); // Return type
+      const name = word();
+      expect('(');
+      const params = [];
+      while (!isSymbol(')')) {
+        if (isWord('in')) next();
+        const type = word();
+        if (type === 'void') continue;
+        params.push(word());
+        if (isSymbol(',')) next();
+      }
+      expect(')');
+      const body = parseBlock();
+      (functions[name] = functions[name] || []).push({ params, body });
+    } else {
+      initializers.push(parseDeclaration());
+    }
+  }
+
+  initializers.forEach(init => init(globals));
+
+  return {
+    /**
+     * Set a uniform or varying: numbers, booleans, arrays, or
+     * { mat3: [9 column-major values] } for a mat3
+     */
+    set(name, value) {
+      if (value && value.mat3) globals[name] = { mat3: value.mat3.map(f32) };
+      else globals[name] = typeof value === 'boolean' ? value : map(value, f32);
+    },
+
+    call(name, ...args) {
+      return callFunction(name, args);
+    }
+  };
+}
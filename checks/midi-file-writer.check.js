@@ -0,0 +1,74 @@
+// Encodes a long simulated take and checks the file structure: five minutes
+// of sequencer notes, string pitch bend at 60 fps and eight CC probes at
+// 100 Hz, all on one channel so its track grows past half a megabyte.
+// Then checks that messages cleared from the output leave the take.
+// Run with `npm run check`.
+import assert from 'node:assert/strict';
+import { createMidiRecorder } from '../midi-file-writer.js';
+
+const TAKE_MS = 5 * 60 * 1000;
+const CHANNEL = 1;
+const recorder = createMidiRecorder();
+recorder.start(120, 4, 4, 0);
+
+let events = 0;
+for (let time = 0; time < TAKE_MS; time += 125) {
+  recorder.record([0x90 | CHANNEL, 60, 80], time);
+  recorder.record([0x80 | CHANNEL, 60, 0], time + 100);
+  events += 2;
+}
+for (let time = 0; time < TAKE_MS; time += 1000 / 60) {
+  const bend = 8192 + Math.round(Math.sin(time / 100) * 4000);
+  recorder.record([0xE0 | CHANNEL, bend & 0x7F, (bend >> 7) & 0x7F], time);
+  events++;
+}
+for (let time = 0; time < TAKE_MS; time += 10) {
+  for (let cc = 20; cc < 28; cc++) {
+    recorder.record([0xB0 | CHANNEL, cc, Math.round(63.5 + Math.sin(time / (cc * 10)) * 63.5)], time);
+    events++;
+  }
+}
+recorder.stop();
+
+const file = recorder.toMidiFile(480);
+assert.ok(events > 250000, `expected a long take, got ${events} events`);
+
+// Walk the chunks: header, conductor track and the channel track
+const text = offset => String.fromCharCode(...file.subarray(offset, offset + 4));
+const uint32 = offset => ((file[offset] << 24) | (file[offset + 1] << 16) | (file[offset + 2] << 8) | file[offset + 3]) >>> 0;
+
+assert.equal(text(0), 'MThd');
+const trackCount = (file[10] << 8) | file[11];
+assert.equal(trackCount, 2);
+
+let offset = 14;
+let longestTrack = 0;
+for (let i = 0; i < trackCount; i++) {
+  assert.equal(text(offset), 'MTrk');
+  const length = uint32(offset + 4);
+  longestTrack = Math.max(longestTrack, length);
+  offset += 8 + length;
+  assert.deepEqual(Array.from(file.subarray(offset - 3, offset)), [0xFF, 0x2F, 0x00]);
+}
+assert.equal(offset, file.length);
+assert.ok(longestTrack > 500000, `expected a track over 500 kB, got ${longestTrack} bytes`);
+
+console.log(`✓ Encoded ${events} events into ${file.length} bytes`);
+
+// Messages still queued when the output is cleared never play, so they
+// leave the take too
+const cleared = createMidiRecorder();
+cleared.start(120, 4, 4, 0);
+cleared.record([0x90 | CHANNEL, 60, 80], 100);
+cleared.record([0x90 | CHANNEL, 64, 80], 300);
+cleared.record([0x80 | CHANNEL, 60, 0], 400);
+cleared.discardAfter(200);
+cleared.record([0x80 | CHANNEL, 60, 0], 200);
+
+const played = createMidiRecorder();
+played.start(120, 4, 4, 0);
+played.record([0x90 | CHANNEL, 60, 80], 100);
+played.record([0x80 | CHANNEL, 60, 0], 200);
+
+assert.deepEqual(cleared.toMidiFile(480), played.toMidiFile(480));
+console.log('✓ Cleared messages are dropped from the take');
@@ -0,0 +1,365 @@
+// ============================================================================
+// CPU SIMPLEX NOISE SAMPLER
+// ============================================================================
+//
+// Pure-JavaScript port of the GLSL snoise3d() / snoise4d() in simplexNoiseShader.
+// Has no dependency on three.js or WebGL, so it can drive the sequencer
+// headlessly and be compared against the GPU sampling path.
+
+// Skew / unskew factors, same as `const vec2 C` in the shader
+const C_X = 1.0 / 6.0;
+const C_Y = 1.0 / 3.0;
+
+// ns = n_ * D.wyz - D.xzx with n_ = 1/7 and D = (0, 0.5, 1, 2).
+// n_ is rounded to float32 as in GLSL: the float64 literal sits just below
+// 1/7, which breaks the floor() in the gradient lookup on exact multiples.
+const N_ = Math.fround(0.142857142857);
+const NS_X = N_ * 2.0;
+const NS_Y = N_ * 0.5 - 1.0;
+const NS_Z = N_;
+
+function mod289(x) {
+  return x - Math.floor(x * (1.0 / 289.0)) * 289.0;
+}
+
+function permute(x) {
+  return mod289(((x * 34.0) + 1.0) * x);
+}
+
+function taylorInvSqrt(r) {
+  return 1.79284291400159 - 0.85373472095314 * r;
+}
+
+/**
+ * 3D simplex noise, line-for-line equivalent of the shader's snoise3d()
+ * Returns a value in roughly [-1, 1]
+ */
+export function snoise3d(x, y, z) {
+  // First corner
+  const s = (x + y + z) * C_Y;
+  let i = Math.floor(x + s);
+  let j = Math.floor(y + s);
+  let k = Math.floor(z + s);
+  const t = (i + j + k) * C_X;
+  const x0 = x - i + t;
+  const y0 = y - j + t;
+  const z0 = z - k + t;
+
+  // Other corners: g = step(x0.yzx, x0.xyz), l = 1 - g
+  const gx = x0 >= y0 ? 1 : 0;
+  const gy = y0 >= z0 ? 1 : 0;
+  const gz = z0 >= x0 ? 1 : 0;
+  const lx = 1 - gx;
+  const ly = 1 - gy;
+  const lz = 1 - gz;
+
+  // i1 = min(g.xyz, l.zxy), i2 = max(g.xyz, l.zxy)
+  const i1x = Math.min(gx, lz);
+  const i1y = Math.min(gy, lx);
+  const i1z = Math.min(gz, ly);
+  const i2x = Math.max(gx, lz);
+  const i2y = Math.max(gy, lx);
+  const i2z = Math.max(gz, ly);
+
+  const corners = [
+    [x0, y0, z0],
+    [x0 - i1x + C_X, y0 - i1y + C_X, z0 - i1z + C_X],
+    [x0 - i2x + C_Y, y0 - i2y + C_Y, z0 - i2z + C_Y],
+    [x0 - 0.5, y0 - 0.5, z0 - 0.5]
+  ];
+
+  // Permutations
+  i = mod289(i);
+  j = mod289(j);
+  k = mod289(k);
+  const offX = [0, i1x, i2x, 1];
+  const offY = [0, i1y, i2y, 1];
+  const offZ = [0, i1z, i2z, 1];
+
+  let result = 0;
+
+  for (let c = 0; c < 4; c++) {
+    const p = permute(permute(permute(k + offZ[c]) + j + offY[c]) + i + offX[c]);
+
+    // Gradients: 7x7 points over a square, mapped onto an octahedron
+    const jj = p - 49.0 * Math.floor(p * NS_Z * NS_Z);
+    const xf = Math.floor(jj * NS_Z);
+    const yf = Math.floor(jj - 7.0 * xf);
+
+    const gxv = xf * NS_X + NS_Y;
+    const gyv = yf * NS_X + NS_Y;
+    const h = 1.0 - Math.abs(gxv) - Math.abs(gyv);
+
+    // sh = -step(h, 0.0)
+    const sh = h <= 0 ? -1 : 0;
+    let px = gxv + (Math.floor(gxv) * 2.0 + 1.0) * sh;
+    let py = gyv + (Math.floor(gyv) * 2.0 + 1.0) * sh;
+    let pz = h;
+
+    // Normalize gradients
+    const norm = taylorInvSqrt(px * px + py * py + pz * pz);
+    px *= norm;
+    py *= norm;
+    pz *= norm;
+
+    // Mix contributions
+    const [cx, cy, cz] = corners[c];
+    let m = Math.max(0.6 - (cx * cx + cy * cy + cz * cz), 0.0);
+    m *= m;
+    result += m * m * (px * cx + py * cy + pz * cz);
+  }
+
+  return 42.0 * result;
+}
+
+// ============================================================================
+// 4D SIMPLEX NOISE
+// ============================================================================
+
+const F4 = 0.309016994374947451;  // (sqrt(5) - 1) / 4
+const G4 = 0.138196601125011;     // (5 - sqrt(5)) / 20
+const G4_2 = 0.276393202250021;
+const G4_3 = 0.414589803375032;
+const G4_4 = -0.447213595499958;  // -1 + 4 * G4
+
+// ip = vec4(1/294, 1/49, 1/7, 0), rounded to float32 like the shader
+const IP_X = Math.fround(1.0 / 294.0);
+const IP_Y = Math.fround(1.0 / 49.0);
+const IP_Z = Math.fround(1.0 / 7.0);
+
+// floor(fract(j * ip) * 7.0), evaluated in float32 so the cell boundaries
+// fall on the same side as on the GPU
+function gradCell(j, ip) {
+  const a = Math.fround(j * ip);
+  const f = Math.fround(a - Math.floor(a));
+  return Math.floor(Math.fround(f * 7.0));
+}
+
+/**
+ * Gradient for a 4D lattice point, mirrors grad4() in the shader
+ */
+function grad4(j) {
+  let px = gradCell(j, IP_X) * IP_Z - 1.0;
+  let py = gradCell(j, IP_Y) * IP_Z - 1.0;
+  let pz = gradCell(j, IP_Z) * IP_Z - 1.0;
+  const pw = 1.5 - (Math.abs(px) + Math.abs(py) + Math.abs(pz));
+
+  // s = lessThan(p, 0); p.xyz += (s.xyz * 2 - 1) * s.w
+  if (pw < 0) {
+    px += px < 0 ? 1 : -1;
+    py += py < 0 ? 1 : -1;
+    pz += pz < 0 ? 1 : -1;
+  }
+
+  return [px, py, pz, pw];
+}
+
+/**
+ * 4D simplex noise, equivalent of the shader's snoise4d()
+ * Returns a value in roughly [-1, 1]
+ */
+export function snoise4d(x, y, z, w) {
+  // First corner
+  const s = (x + y + z + w) * F4;
+  let i = Math.floor(x + s);
+  let j = Math.floor(y + s);
+  let k = Math.floor(z + s);
+  let l = Math.floor(w + s);
+  const t = (i + j + k + l) * G4;
+  const x0 = [x - i + t, y - j + t, z - k + t, w - l + t];
+
+  // Other corners: rank the components to find the simplex
+  const isX = [x0[0] >= x0[1] ? 1 : 0, x0[0] >= x0[2] ? 1 : 0, x0[0] >= x0[3] ? 1 : 0];
+  const isYZ = [x0[1] >= x0[2] ? 1 : 0, x0[1] >= x0[3] ? 1 : 0, x0[2] >= x0[3] ? 1 : 0];
+  const i0 = [
+    isX[0] + isX[1] + isX[2],
+    1 - isX[0] + isYZ[0] + isYZ[1],
+    1 - isX[1] + 1 - isYZ[0] + isYZ[2],
+    1 - isX[2] + 1 - isYZ[1] + 1 - isYZ[2]
+  ];
+
+  const clamp01 = v => Math.max(0, Math.min(1, v));
+  const i3 = i0.map(v => clamp01(v));
+  const i2 = i0.map(v => clamp01(v - 1));
+  const i1 = i0.map(v => clamp01(v - 2));
+
+  const corners = [
+    x0,
+    x0.map((v, n) => v - i1[n] + G4),
+    x0.map((v, n) => v - i2[n] + G4_2),
+    x0.map((v, n) => v - i3[n] + G4_3),
+    x0.map(v => v + G4_4)
+  ];
+
+  // Permutations (offsets per corner, in x, y, z, w order)
+  i = mod289(i);
+  j = mod289(j);
+  k = mod289(k);
+  l = mod289(l);
+  const offsets = [[0, 0, 0, 0], i1, i2, i3, [1, 1, 1, 1]];
+
+  let result = 0;
+
+  for (let c = 0; c < 5; c++) {
+    const o = offsets[c];
+    const p = permute(permute(permute(permute(l + o[3]) + k + o[2]) + j + o[1]) + i + o[0]);
+
+    const g = grad4(p);
+    const norm = taylorInvSqrt(g[0] * g[0] + g[1] * g[1] + g[2] * g[2] + g[3] * g[3]);
+
+    // Mix contributions
+    const xc = corners[c];
+    let m = Math.max(0.6 - (xc[0] * xc[0] + xc[1] * xc[1] + xc[2] * xc[2] + xc[3] * xc[3]), 0.0);
+    m *= m;
+    result += m * m * norm * (g[0] * xc[0] + g[1] * xc[1] + g[2] * xc[2] + g[3] * xc[3]);
+  }
+
+  return 49.0 * result;
+}
+
+// ============================================================================
+// FRACTAL BROWNIAN MOTION AND NOISE VARIANTS
+// Mirrors fbm3d() / fieldNoise() in the shader
+// ============================================================================
+
+const MAX_OCTAVES = 8;
+
+// Values of the uNoiseType uniform
+export const NOISE_TYPES = {
+  simplex: 0,
+  ridged: 1,
+  billow: 2,
+  warped: 3
+};
+
+function shapeOctave(n, noiseType) {
+  if (noiseType === NOISE_TYPES.ridged) {
+    const r = 1.0 - Math.abs(n);
+    return r * r * 2.0 - 1.0;
+  }
+  if (noiseType === NOISE_TYPES.billow) {
+    return Math.abs(n) * 2.0 - 1.0;
+  }
+  return n;
+}
+
+/**
+ * One octave of raw noise at spatial position (x, y, z) and time coordinate
+ * w: 4D with w as the fourth axis, or 3D with w scrolling along Z
+ */
+function octaveNoise(x, y, z, w, params) {
+  if (params.noise4D) {
+    return snoise4d(x, y, z, w);
+  }
+  return snoise3d(x, y, z + w);
+}
+
+function fbm(x, y, z, w, params) {
+  const octaves = Math.min(MAX_OCTAVES, params.octaves);
+  let sum = 0.0;
+  let amplitude = 1.0;
+  let frequency = 1.0;
+  let norm = 0.0;
+
+  for (let i = 0; i < octaves; i++) {
+    const n = octaveNoise(x * frequency, y * frequency, z * frequency, w * frequency, params);
+    sum += amplitude * shapeOctave(n, params.noiseType);
+    norm += amplitude;
+    amplitude *= params.gain;
+    frequency *= params.lacunarity;
+  }
+
+  return sum / norm;
+}
+
+/**
+ * The field both the display and the sampler read, in [-1, 1]
+ *
+ * @param {object} params - { noiseType, octaves, lacunarity, gain, warpStrength, noise4D }
+ */
+export function fieldNoise(x, y, z, w, params) {
+  if (params.noiseType === NOISE_TYPES.warped) {
+    const wx = fbm(x + 1.7, y + 9.2, z + 3.1, w, params);
+    const wy = fbm(x + 8.3, y + 2.8, z + 5.5, w, params);
+    const wz = fbm(x + 4.1, y + 6.7, z + 0.9, w, params);
+    const k = params.warpStrength;
+    return fbm(x + k * wx, y + k * wy, z + k * wz, w, params);
+  }
+  return fbm(x, y, z, w, params);
+}
+
+/**
+ * Read the shader uniforms into a plain parameter object,
+ * with defaults matching a single octave of plain simplex noise
+ */
+export function fieldParamsFromUniforms(uniforms) {
+  const read = (name, fallback) => (uniforms[name] ? uniforms[name].value : fallback);
+  return {
+    spatialScale: read('uSpatialScale', 0.5),
+    timeScale: read('uTimeScale', 0.3),
+    time: read('uTime', 0.0),
+    noiseType: read('uNoiseType', NOISE_TYPES.simplex),
+    octaves: read('uOctaves', 1),
+    lacunarity: read('uLacunarity', 2.0),
+    gain: read('uGain', 0.5),
+    warpStrength: read('uWarpStrength', 1.0),
+    noise4D: read('uNoise4D', false),
+    // Column-major 3x3 (THREE.Matrix3.elements), world → field frame
+    fieldRotation: uniforms.uFieldRotation ? uniforms.uFieldRotation.value.elements : null,
+    // THREE.Vector4 (or any {x, y, z, w}) from the noise seed
+    seedOffset: read('uSeedOffset', null)
+  };
+}
+
+/**
+ * Evaluate the noise field at a world position using the same mapping as
+ * the shaders: p = (uFieldRotation * worldPos) * uSpatialScale + seed.xyz,
+ * w = uTime * uTimeScale + seed.w
+ * A point may carry a `timeOffset` (seconds added to uTime).
+ * Returns a value in [0, 1], clamped like the sampling render target
+ *
+ * @param {{x:number,y:number,z:number,timeOffset?:number}} point
+ * @param {object} params - As returned by fieldParamsFromUniforms()
+ */
+export function sampleNoiseAt(point, params) {
+  const time = params.time + (point.timeOffset || 0);
+
+  let { x, y, z } = point;
+  const m = params.fieldRotation;
+  if (m) {
+    [x, y, z] = [
+      m[0] * x + m[3] * y + m[6] * z,
+      m[1] * x + m[4] * y + m[7] * z,
+      m[2] * x + m[5] * y + m[8] * z
+    ];
+  }
+
+  const seed = params.seedOffset || { x: 0, y: 0, z: 0, w: 0 };
+  const noise = fieldNoise(
+    x * params.spatialScale + seed.x,
+    y * params.spatialScale + seed.y,
+    z * params.spatialScale + seed.z,
+    time * params.timeScale + seed.w,
+    params
+  );
+  const value = noise * 0.5 + 0.5;
+  return Math.max(0, Math.min(1, value));
+}
+
+/**
+ * Create a CPU noise sampler bound to a set of shader uniforms.
+ * The uniform objects are read on every call, so the sampler always
+ * follows the same field parameters as the GPU path.
+ *
+ * @param {object} uniforms - Shader uniforms ({ value } objects)
+ * @returns {{ name: string, sample: (points: Array<{x:number,y:number,z:number,timeOffset?:number}>) => number[] }}
+ */
+export function createCPUNoiseSampler(uniforms) {
+  return {
+    name: 'cpu',
+    sample(points) {
+      const params = fieldParamsFromUniforms(uniforms);
+      return points.map(point => sampleNoiseAt(point, params));
+    }
+  };
+}
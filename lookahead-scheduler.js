@@ -0,0 +1,99 @@
+// ============================================================================
+// LOOKAHEAD STEP SCHEDULER
+// ============================================================================
+//
+// "Two clocks" scheduler: a coarse JS timer wakes up every few milliseconds
+// and queues every step that falls inside a short lookahead window, each with
+// an exact timestamp on the running clock. Step duration is read per step, so
+// tempo and step-count changes take effect on the very next step instead of
+// the next bar, and timer jitter never accumulates into drift.
+
+/**
+ * Create a lookahead scheduler.
+ *
+ * @param {object} options
+ * @param {() => number} options.getStepMs - Current step duration in ms (may be Infinity to pause)
+ * @param {() => number} options.getStepCount - Current number of steps per cycle
+ * @param {(step: number, time: number, stepMs: number) => void} options.onStep - Called once per step, ahead of time.
+ *   A step that throws is logged (once per run) and skipped, so one bad step can't stall the clock.
+ * @param {number} [options.lookaheadMs=100] - How far ahead of the clock steps are queued
+ * @param {number} [options.intervalMs=25] - How often the timer wakes up
+ * @param {() => number} [options.now] - Clock, defaults to performance.now()
+ */
+export function createLookaheadScheduler({
+  getStepMs,
+  getStepCount,
+  onStep,
+  lookaheadMs = 100,
+  intervalMs = 25,
+  now = () => performance.now()
+}) {
+  let timerId = null;
+  let nextStepTime = 0;
+  let nextStep = 0;
+  let errorLogged = false;
+
+  function tick() {
+    const currentTime = now();
+    const horizon = currentTime + lookaheadMs;
+
+    while (nextStepTime < horizon) {
+      const stepMs = getStepMs();
+
+      // Paused (e.g. BPM = 0): hold the step on the clock until tempo returns
+      if (!isFinite(stepMs) || stepMs <= 0) {
+        nextStepTime = currentTime;
+        return;
+      }
+
+      // Timer was throttled (background tab): resync instead of bursting
+      if (nextStepTime < currentTime - stepMs) {
+        nextStepTime = currentTime;
+      }
+
+      // Step count may have shrunk since the last step
+      const stepCount = Math.max(1, getStepCount());
+      if (nextStep >= stepCount) {
+        nextStep = 0;
+      }
+
+      try {
+        onStep(nextStep, nextStepTime, stepMs);
+      } catch (err) {
+        // Move past the failing step; retrying it would throw on every tick
+        if (!errorLogged) {
+          console.error('Scheduler step failed:', err);
+          errorLogged = true;
+        }
+      }
+
+      nextStepTime += stepMs;
+      nextStep = (nextStep + 1) % stepCount;
+    }
+  }
+
+  return {
+    /**
+     * Start scheduling from the given step at the given clock time
+     */
+    start(startTime = now(), startStep = 0) {
+      if (timerId !== null) return;
+      nextStepTime = startTime;
+      nextStep = startStep;
+      errorLogged = false;
+      tick();
+      timerId = setInterval(tick, intervalMs);
+    },
+
+    stop() {
+      if (timerId !== null) {
+        clearInterval(timerId);
+        timerId = null;
+      }
+    },
+
+    isRunning() {
+      return timerId !== null;
+    }
+  };
+}
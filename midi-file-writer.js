@@ -0,0 +1,254 @@
+// ============================================================================
+// STANDARD MIDI FILE WRITER
+// ============================================================================
+//
+// Records timestamped MIDI messages and encodes them as a Type 1 Standard
+// MIDI File: a conductor track with tempo and time-signature meta events,
+// followed by one track per MIDI channel. No DOM or WebMIDI dependency.
+
+// Channel messages captured by the recorder
+const RECORDED_STATUSES = [0x80, 0x90, 0xB0, 0xE0];
+
+// CC 120-127 are channel mode messages (All Notes Off etc.), not performance data
+const FIRST_CHANNEL_MODE_CC = 120;
+
+function writeUint32(bytes, value) {
+  bytes.push((value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF);
+}
+
+function writeUint16(bytes, value) {
+  bytes.push((value >>> 8) & 0xFF, value & 0xFF);
+}
+
+function writeVariableLength(bytes, value) {
+  let buffer = value & 0x7F;
+  while ((value >>= 7) > 0) {
+    buffer <<= 8;
+    buffer |= ((value & 0x7F) | 0x80);
+  }
+  while (true) {
+    bytes.push(buffer & 0xFF);
+    if (buffer & 0x80) {
+      buffer >>= 8;
+    } else {
+      break;
+    }
+  }
+}
+
+function appendBytes(bytes, data) {
+  for (let i = 0; i < data.length; i++) {
+    bytes.push(data[i]);
+  }
+}
+
+function textMetaEvent(type, text) {
+  const encoded = Array.from(new TextEncoder().encode(text));
+  const bytes = [0xFF, type];
+  writeVariableLength(bytes, encoded.length);
+  return bytes.concat(encoded);
+}
+
+/**
+ * Tempo meta event (FF 51 03 tttttt), microseconds per quarter note
+ */
+export function tempoEvent(bpm) {
+  const usPerQuarter = Math.round(60000000 / bpm);
+  return [0xFF, 0x51, 0x03, (usPerQuarter >> 16) & 0xFF, (usPerQuarter >> 8) & 0xFF, usPerQuarter & 0xFF];
+}
+
+/**
+ * Time signature meta event (FF 58 04 nn dd cc bb).
+ * SMF stores the denominator as a power of two, so irrational denominators
+ * (New Complexity mode) are written as the nearest power of two.
+ */
+export function timeSignatureEvent(numerator, denominator) {
+  const nn = Math.max(1, Math.min(255, Math.round(numerator)));
+  const dd = Math.max(0, Math.min(255, Math.round(Math.log2(denominator))));
+  // 24 MIDI clocks per metronome click, 8 thirty-seconds per quarter
+  return [0xFF, 0x58, 0x04, nn, dd, 24, 8];
+}
+
+/**
+ * Encode tracks into a Type 1 Standard MIDI File
+ *
+ * @param {object} options
+ * @param {number} options.ppqn - Ticks per quarter note
+ * @param {Array<{name?: string, events: Array<{tick: number, data: number[]}>}>} options.tracks
+ * @returns {Uint8Array}
+ */
+export function encodeMidiFile({ ppqn, tracks }) {
+  // Encode each track body first so the file can be allocated in one go.
+  // Bytes are appended one at a time: spreading a long take into push()
+  // overflows the call stack.
+  const trackChunks = tracks.map(track => {
+    const trackBytes = [];
+
+    if (track.name) {
+      writeVariableLength(trackBytes, 0);
+      appendBytes(trackBytes, textMetaEvent(0x03, track.name));
+    }
+
+    // Stable sort keeps same-tick events in recorded order
+    const events = track.events
+      .map((event, order) => ({ ...event, order }))
+      .sort((a, b) => a.tick - b.tick || a.order - b.order);
+
+    let lastTick = 0;
+    events.forEach(event => {
+      const tick = Math.max(lastTick, Math.round(event.tick));
+      writeVariableLength(trackBytes, tick - lastTick);
+      appendBytes(trackBytes, event.data);
+      lastTick = tick;
+    });
+
+    // End of track
+    writeVariableLength(trackBytes, 0);
+    trackBytes.push(0xFF, 0x2F, 0x00);
+    return trackBytes;
+  });
+
+  // Header chunk
+  const header = [];
+  header.push(0x4D, 0x54, 0x68, 0x64); // "MThd"
+  writeUint32(header, 6);
+  writeUint16(header, 1);              // Format 1
+  writeUint16(header, tracks.length);
+  writeUint16(header, ppqn);
+
+  const totalLength = trackChunks.reduce((sum, chunk) => sum + 8 + chunk.length, header.length);
+  const file = new Uint8Array(totalLength);
+  file.set(header, 0);
+
+  let offset = header.length;
+  trackChunks.forEach(chunk => {
+    const chunkHeader = [0x4D, 0x54, 0x72, 0x6B]; // "MTrk"
+    writeUint32(chunkHeader, chunk.length);
+    file.set(chunkHeader, offset);
+    file.set(chunk, offset + 8);
+    offset += 8 + chunk.length;
+  });
+
+  return file;
+}
+
+/**
+ * Create a recorder for outgoing MIDI.
+ * Messages are stored with their clock time (ms); tempo and time-signature
+ * changes are tracked so the export can convert ms to ticks exactly.
+ */
+export function createMidiRecorder() {
+  let recording = false;
+  let startTime = 0;
+  let messages = [];
+  let tempoChanges = [];
+  let timeSigChanges = [];
+
+  /**
+   * Convert a clock time (ms) to ticks by walking the tempo map
+   */
+  function msToTicks(time, ppqn) {
+    let ticks = 0;
+    for (let i = 0; i < tempoChanges.length; i++) {
+      const segmentStart = tempoChanges[i].time;
+      if (time <= segmentStart) break;
+      const segmentEnd = i + 1 < tempoChanges.length ? Math.min(time, tempoChanges[i + 1].time) : time;
+      ticks += (segmentEnd - segmentStart) * ppqn * tempoChanges[i].bpm / 60000;
+    }
+    return ticks;
+  }
+
+  return {
+    isRecording() {
+      return recording;
+    },
+
+    hasData() {
+      return messages.length > 0;
+    },
+
+    /**
+     * Start a new take, discarding the previous one
+     */
+    start(bpm, numerator, denominator, time = performance.now()) {
+      recording = true;
+      startTime = time;
+      messages = [];
+      tempoChanges = [{ time, bpm }];
+      timeSigChanges = [{ time, numerator, denominator }];
+    },
+
+    stop() {
+      recording = false;
+    },
+
+    /**
+     * Record a channel message sent at `time` (ms). Only note on/off,
+     * control change and pitch bend are kept; panic CCs and other traffic
+     * are ignored.
+     */
+    record(data, time) {
+      if (!recording) return;
+      const status = data[0] & 0xF0;
+      if (!RECORDED_STATUSES.includes(status)) return;
+      if (status === 0xB0 && data[1] >= FIRST_CHANNEL_MODE_CC) return;
+      messages.push({ time: Math.max(startTime, time), data: Array.from(data) });
+    },
+
+    /**
+     * Forget messages timestamped after `time` (ms). Call when the output's
+     * pending messages are cleared: those were recorded but never played.
+     */
+    discardAfter(time = performance.now()) {
+      messages = messages.filter(message => message.time <= time);
+    },
+
+    setTempo(bpm, time = performance.now()) {
+      if (!recording) return;
+      tempoChanges.push({ time: Math.max(startTime, time), bpm });
+    },
+
+    setTimeSignature(numerator, denominator, time = performance.now()) {
+      if (!recording) return;
+      timeSigChanges.push({ time: Math.max(startTime, time), numerator, denominator });
+    },
+
+    /**
+     * Encode the take as a Type 1 SMF
+     * @param {number} ppqn - Ticks per quarter note
+     * @returns {Uint8Array}
+     */
+    toMidiFile(ppqn) {
+      // Conductor track: tempo (BPM 0 can't be encoded, so it is skipped)
+      const conductorEvents = [];
+      tempoChanges.forEach(change => {
+        if (change.bpm > 0) {
+          conductorEvents.push({ tick: msToTicks(change.time, ppqn), data: tempoEvent(change.bpm) });
+        }
+      });
+      timeSigChanges.forEach(change => {
+        conductorEvents.push({
+          tick: msToTicks(change.time, ppqn),
+          data: timeSignatureEvent(change.numerator, change.denominator)
+        });
+      });
+
+      // One track per channel
+      const channelEvents = new Map();
+      messages.forEach(message => {
+        const channel = message.data[0] & 0x0F;
+        if (!channelEvents.has(channel)) {
+          channelEvents.set(channel, []);
+        }
+        channelEvents.get(channel).push({ tick: msToTicks(message.time, ppqn), data: message.data });
+      });
+
+      const tracks = [{ name: '3D Noise MIDI', events: conductorEvents }];
+      [...channelEvents.keys()].sort((a, b) => a - b).forEach(channel => {
+        tracks.push({ name: `Channel ${channel + 1}`, events: channelEvents.get(channel) });
+      });
+
+      return encodeMidiFile({ ppqn, tracks });
+    }
+  };
+}
@@ -0,0 +1,118 @@
+// ============================================================================
+// PATCH STORE
+// ============================================================================
+//
+// Serialization helpers for patches (plain JSON snapshots of the instrument
+// state): named presets in localStorage, JSON files, and a compact URL-hash
+// encoding for sharing a patch as a link. No three.js dependency; needs
+// only TextEncoder, btoa/atob and a Storage object.
+
+// Bump when the patch layout changes incompatibly
+export const PATCH_VERSION = 1;
+
+// Prefix of the URL hash that carries a patch: #patch=<base64url JSON>
+const HASH_PREFIX = 'patch=';
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(encoded) {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Check that a parsed object looks like a patch this version can apply
+ * @throws {Error} if it does not
+ */
+export function validatePatch(patch) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    throw new Error('Patch is not an object');
+  }
+  if (typeof patch.version !== 'number') {
+    throw new Error('Patch has no version');
+  }
+  if (patch.version > PATCH_VERSION) {
+    throw new Error(`Patch version ${patch.version} is newer than supported (${PATCH_VERSION})`);
+  }
+  return patch;
+}
+
+/**
+ * Parse patch JSON (e.g. an imported file)
+ * @throws {Error} on invalid JSON or an unsupported patch
+ */
+export function parsePatch(json) {
+  return validatePatch(JSON.parse(json));
+}
+
+/**
+ * Encode a patch as a URL hash ("#patch=...")
+ */
+export function encodePatchHash(patch) {
+  return `#${HASH_PREFIX}${toBase64Url(JSON.stringify(patch))}`;
+}
+
+/**
+ * Decode a patch from a URL hash; returns null when the hash has no patch
+ * @throws {Error} when the hash carries a patch that cannot be decoded
+ */
+export function decodePatchHash(hash) {
+  const body = hash.startsWith('#') ? hash.slice(1) : hash;
+  if (!body.startsWith(HASH_PREFIX)) return null;
+  return parsePatch(fromBase64Url(body.slice(HASH_PREFIX.length)));
+}
+
+/**
+ * Create a named-preset store backed by a Storage object
+ *
+ * @param {string} storageKey - Key holding all presets as { name: patch }
+ * @param {Storage} [storage=localStorage]
+ */
+export function createPresetStore(storageKey, storage = localStorage) {
+  function readAll() {
+    try {
+      return JSON.parse(storage.getItem(storageKey)) || {};
+    } catch (err) {
+      return {};
+    }
+  }
+
+  function writeAll(presets) {
+    storage.setItem(storageKey, JSON.stringify(presets));
+  }
+
+  return {
+    /**
+     * Preset names, sorted
+     */
+    list() {
+      return Object.keys(readAll()).sort();
+    },
+
+    load(name) {
+      const patch = readAll()[name];
+      return patch ? validatePatch(patch) : null;
+    },
+
+    save(name, patch) {
+      const presets = readAll();
+      presets[name] = patch;
+      writeAll(presets);
+    },
+
+    remove(name) {
+      const presets = readAll();
+      delete presets[name];
+      writeAll(presets);
+    }
+  };
+}
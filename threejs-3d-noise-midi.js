@@ -1,5 +1,15 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { createCPUNoiseSampler } from './cpu-noise-sampler.js';
+import { createLookaheadScheduler } from './lookahead-scheduler.js';
+import { createMidiRecorder } from './midi-file-writer.js';
+import {
+  PATCH_VERSION,
+  parsePatch,
+  encodePatchHash,
+  decodePatchHash,
+  createPresetStore
+} from './patch-store.js';
 
 // ============================================================================
 // CONSTANTS
@@ -71,26 +81,40 @@ const SCALES = {
 let scaleEnabled = false;
 let currentScale = SCALES.chromatic;
 let currentKey = 0; // 0 = C, 1 = C#, 2 = D, etc.
-let customScalaScale = null; // For imported Scala files
+let customScala = null;        // Imported .scl: { name, cents } (see parseScalaFile)
+let customKeyboardMap = null;  // Imported .kbm (see parseKeyboardMapFile)
+let customScalaScale = null;   // Pitches of the Scala tuning (rebuildScalaNotes)
+let liveScale = null;          // Intervals from a chord held on the MIDI input
 
 /**
  * Generate all MIDI notes in the current scale across the full range
- * Applies key transposition
+ * Applies key transposition. Scala scales may hold fractional notes.
  */
 function generateScaleNotes() {
+  if (liveScale) {
+    // A held chord replaces any selected or imported scale
+    return generateScaleNotesFor(liveScale, currentKey);
+  }
+
   if (customScalaScale) {
     // Use custom Scala scale (already includes all octaves)
     return customScalaScale;
   }
 
+  return generateScaleNotesFor(currentScale, currentKey);
+}
+
+/**
+ * All MIDI notes of a scale (semitone intervals) in a key, within the note range
+ */
+function generateScaleNotesFor(scaleIntervals, key) {
   const notes = [];
-  const scaleIntervals = currentScale;
 
   // Generate notes across all octaves with key transposition
   for (let octave = 0; octave < 11; octave++) {
     const octaveBase = octave * 12;
     for (let interval of scaleIntervals) {
-      const note = octaveBase + interval + currentKey;
+      const note = octaveBase + interval + key;
       if (note >= MIN_NOTE && note <= MAX_NOTE) {
         notes.push(note);
       }
@@ -101,7 +125,7 @@ function generateScaleNotes() {
 }
 
 /**
- * Quantize a MIDI note to the nearest note in the current scale
+ * Quantize a (fractional) MIDI pitch to the nearest note in the current scale
  */
 function quantizeToScale(midiNote) {
   if (!scaleEnabled) {
@@ -126,68 +150,207 @@ function quantizeToScale(midiNote) {
 }
 
 /**
- * Parse a Scala (.scl) file
+ * Parse a Scala (.scl) file into its degrees in cents. Degree 0 (the root)
+ * is implicit; the last degree is the period, usually 1200 (an octave).
+ * Pitch lines with a period are cents, anything else is a ratio ("3/2", "2").
  * Format: https://www.huygens-fokker.org/scala/scl_format.html
  */
 function parseScalaFile(text) {
   const lines = text.split('\n').map(line => line.trim());
 
-  // Skip comments and empty lines
-  const cleanLines = lines.filter(line =>
-    line.length > 0 && !line.startsWith('!')
-  );
+  // Skip comments; the description line may be empty, so keep it by position
+  const cleanLines = lines.filter(line => !line.startsWith('!'));
+  const description = cleanLines.shift() || '';
+  const values = cleanLines.filter(line => line.length > 0);
 
-  if (cleanLines.length < 2) {
+  if (values.length < 1) {
     throw new Error('Invalid Scala file format');
   }
 
-  // First line is description (skip)
-  // Second line is number of notes
-  const numNotes = parseInt(cleanLines[1]);
+  // First value is the number of notes
+  const numNotes = parseInt(values[0]);
 
-  if (isNaN(numNotes)) {
+  if (isNaN(numNotes) || numNotes < 1) {
     throw new Error('Invalid number of notes in Scala file');
   }
 
-  // Parse scale degrees
-  const intervals = [0]; // Always include root
+  // Parse scale degrees (anything after the first token is a comment)
+  const cents = [];
 
-  for (let i = 2; i < Math.min(2 + numNotes, cleanLines.length); i++) {
-    const line = cleanLines[i];
+  for (let i = 1; i < Math.min(1 + numNotes, values.length); i++) {
+    const token = values[i].split(/\s+/)[0];
 
-    // Parse either cents (decimal) or ratio (e.g., "3/2")
-    let cents;
-    if (line.includes('/')) {
-      // Ratio format
-      const [num, den] = line.split('/').map(parseFloat);
-      cents = 1200 * Math.log2(num / den);
+    let value;
+    if (token.includes('.')) {
+      value = parseFloat(token);
     } else {
-      // Cents format
-      cents = parseFloat(line);
+      const [num, den = 1] = token.split('/').map(parseFloat);
+      value = 1200 * Math.log2(num / den);
     }
 
-    if (!isNaN(cents)) {
-      intervals.push(cents);
+    if (!isNaN(value)) {
+      cents.push(value);
     }
   }
 
-  // Convert cents to MIDI notes across the range
-  const notes = [];
-  const octaveCents = intervals[intervals.length - 1]; // Usually 1200 for octave
+  return { description, cents: validateScalaCents(cents) };
+}
 
-  for (let octave = 0; octave < 11; octave++) {
-    for (let cents of intervals) {
-      const totalCents = octave * octaveCents + cents;
-      const semitones = totalCents / 100; // Convert cents to semitones
-      const midiNote = Math.round(semitones);
+// Most scale degrees a tuning may walk through to fill the note range
+const MAX_SCALA_DEGREES = 100000;
+
+// Largest accepted keyboard mapping (entries per repeat)
+const MAX_KEYBOARD_MAP_SIZE = 1024;
+
+/**
+ * Check Scala degrees from a file or a patch: finite cents, ending in a
+ * positive period
+ * @throws {Error} if they cannot be played
+ */
+function validateScalaCents(cents) {
+  if (!Array.isArray(cents) || cents.length === 0 || !cents.every(Number.isFinite)) {
+    throw new Error('Scala scale has no valid degrees');
+  }
+  if (!(cents[cents.length - 1] > 0)) {
+    throw new Error('Scala file has no positive period');
+  }
+  return cents;
+}
+
+/**
+ * Check a keyboard mapping from a file or a patch
+ * @throws {Error} if it cannot be applied
+ */
+function validateKeyboardMap(keyboardMap) {
+  const { size, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree, mapping } = keyboardMap;
+
+  if (![size, firstNote, lastNote, middleNote, referenceNote, octaveDegree].every(Number.isInteger) ||
+      !(referenceFrequency > 0) || !Number.isFinite(referenceFrequency) ||
+      size < 0 || size > MAX_KEYBOARD_MAP_SIZE) {
+    throw new Error('Invalid keyboard mapping header');
+  }
+  if (!Array.isArray(mapping) || mapping.length !== size ||
+      !mapping.every(degree => degree === null || Number.isInteger(degree))) {
+    throw new Error('Invalid keyboard mapping entries');
+  }
+  return keyboardMap;
+}
+
+/**
+ * Parse a Scala keyboard mapping (.kbm) file. Mapping entries are scale
+ * degrees, or null for unmapped keys ("x", or entries left out).
+ * Format: https://www.huygens-fokker.org/scala/help.htm#mappings
+ */
+function parseKeyboardMapFile(text) {
+  const values = text.split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0 && !line.startsWith('!'))
+    .map(line => line.split(/\s+/)[0]);
+
+  if (values.length < 7) {
+    throw new Error('Invalid keyboard mapping file');
+  }
+
+  const [size, firstNote, lastNote, middleNote, referenceNote] = values.slice(0, 5).map(v => parseInt(v));
+  const referenceFrequency = parseFloat(values[5]);
+  const octaveDegree = parseInt(values[6]);
+
+  if (isNaN(size) || size < 0 || size > MAX_KEYBOARD_MAP_SIZE) {
+    throw new Error('Invalid keyboard mapping header');
+  }
+
+  const mapping = [];
+  for (let i = 0; i < size; i++) {
+    const degree = parseInt(values[7 + i]);
+    mapping.push(isNaN(degree) ? null : degree);
+  }
+
+  return validateKeyboardMap({
+    size, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree, mapping
+  });
+}
+
+/**
+ * All pitches (fractional MIDI notes) of a Scala tuning within the note range.
+ *
+ * Without a keyboard mapping the root sits on `key` (in the lowest octave)
+ * and the scale repeats by its period across the range. With a mapping,
+ * each key from its first to last note plays the degree the mapping
+ * assigns to it, counted from the middle note and tuned so the reference
+ * note sounds at the reference frequency; unmapped keys are skipped.
+ */
+function buildScalaPitches(cents, keyboardMap, key) {
+  const degreeCount = cents.length;
+  const period = cents[degreeCount - 1];
+
+  // Cents of any degree, including negative ones and ones past the period
+  const degreeCents = degree => {
+    const periods = Math.floor(degree / degreeCount);
+    const index = degree - periods * degreeCount;
+    return periods * period + (index === 0 ? 0 : cents[index - 1]);
+  };
+
+  const pitches = [];
+  const addPitch = pitch => {
+    // Rounding to 1/10000 semitone only merges floating-point duplicates
+    const rounded = Math.round(pitch * 10000) / 10000;
+    if (rounded >= MIN_NOTE && rounded <= MAX_NOTE) {
+      pitches.push(rounded);
+    }
+  };
+
+  if (!keyboardMap) {
+    for (let degree = 0; key + degreeCents(degree) / 100 <= MAX_NOTE; degree++) {
+      if (degree >= MAX_SCALA_DEGREES) {
+        throw new Error('Scala tuning is too dense for the note range');
+      }
+      addPitch(key + degreeCents(degree) / 100);
+    }
+  } else {
+    const { size, mapping, middleNote, referenceNote, referenceFrequency } = keyboardMap;
+    // A size of 0 maps keys to consecutive degrees
+    const formalOctave = size === 0 ? period : degreeCents(keyboardMap.octaveDegree);
+
+    const keyCents = midiKey => {
+      const offset = midiKey - middleNote;
+      if (size === 0) return degreeCents(offset);
+      const octaves = Math.floor(offset / size);
+      const degree = mapping[offset - octaves * size];
+      return degree === null ? null : octaves * formalOctave + degreeCents(degree);
+    };
 
-      if (midiNote >= MIN_NOTE && midiNote <= MAX_NOTE) {
-        notes.push(midiNote);
+    const referenceCents = keyCents(referenceNote);
+    if (referenceCents === null) {
+      throw new Error('Reference note is unmapped');
+    }
+    const referencePitch = 69 + 12 * Math.log2(referenceFrequency / 440);
+
+    const first = Math.max(0, keyboardMap.firstNote);
+    const last = Math.min(127, keyboardMap.lastNote);
+    for (let midiKey = first; midiKey <= last; midiKey++) {
+      const keyOffset = keyCents(midiKey);
+      if (keyOffset !== null) {
+        addPitch(referencePitch + (keyOffset - referenceCents) / 100);
       }
     }
   }
 
-  return [...new Set(notes)].sort((a, b) => a - b);
+  return [...new Set(pitches)].sort((a, b) => a - b);
+}
+
+/**
+ * Recompute the Scala pitches after the .scl, .kbm or key changes
+ * @throws {Error} when the mapping cannot be applied to the scale
+ */
+function rebuildScalaNotes() {
+  if (!customScala) {
+    customScalaScale = null;
+  } else if (customScala.cents) {
+    customScalaScale = buildScalaPitches(customScala.cents, customKeyboardMap, currentKey);
+  } else {
+    // Patches saved before .kbm support carry the pitches only
+    customScalaScale = customScala.notes;
+  }
 }
 
 // ============================================================================
@@ -230,7 +393,15 @@ const simplexNoiseShader = {
   uniforms: {
     uSpatialScale: { value: 0.5 },
     uTimeScale: { value: 0.3 },
-    uTime: { value: 0.0 }
+    uTime: { value: 0.0 },
+    uNoiseType: { value: 0 },     // 0 = simplex, 1 = ridged, 2 = billow, 3 = domain-warped
+    uOctaves: { value: 1 },       // fBm octaves (1 = single octave)
+    uLacunarity: { value: 2.0 },  // Frequency multiplier per octave
+    uGain: { value: 0.5 },        // Amplitude multiplier per octave
+    uWarpStrength: { value: 1.0 }, // Domain warp displacement
+    uNoise4D: { value: false },    // Time as the W coordinate of 4D noise instead of a Z offset
+    uFieldRotation: { value: new THREE.Matrix3() }, // World → field frame (inverse of the mesh rotation)
+    uSeedOffset: { value: new THREE.Vector4() }      // Lattice offset (xyz) and time offset (w) from the seed
   },
 
   vertexShader: /* glsl */`
@@ -258,6 +429,14 @@ const simplexNoiseShader = {
     uniform float uSpatialScale;
     uniform float uTimeScale;
     uniform float uTime;
+    uniform int uNoiseType;
+    uniform int uOctaves;
+    uniform float uLacunarity;
+    uniform float uGain;
+    uniform float uWarpStrength;
+    uniform bool uNoise4D;
+    uniform mat3 uFieldRotation;
+    uniform vec4 uSeedOffset;
 
     // ========================================================================
     // 3D SIMPLEX NOISE IMPLEMENTATION
@@ -280,6 +459,18 @@ const simplexNoiseShader = {
       return 1.79284291400159 - 0.85373472095314 * r;
     }
 
+    float mod289(float x) {
+      return x - floor(x * (1.0 / 289.0)) * 289.0;
+    }
+
+    float permute(float x) {
+      return mod289(((x * 34.0) + 1.0) * x);
+    }
+
+    float taylorInvSqrt(float r) {
+      return 1.79284291400159 - 0.85373472095314 * r;
+    }
+
     float snoise3d(vec3 v) {
       const vec2 C = vec2(1.0/6.0, 1.0/3.0);
       const vec4 D = vec4(0.0, 0.5, 1.0, 2.0);
@@ -346,16 +537,167 @@ const simplexNoiseShader = {
       return 42.0 * dot(m*m, vec4(dot(p0,x0), dot(p1,x1), dot(p2,x2), dot(p3,x3)));
     }
 
+    // ========================================================================
+    // 4D SIMPLEX NOISE IMPLEMENTATION
+    // Based on Stefan Gustavson's implementation
+    // ========================================================================
+
+    vec4 grad4(float j, vec4 ip) {
+      const vec4 ones = vec4(1.0, 1.0, 1.0, -1.0);
+      vec4 p, s;
+
+      p.xyz = floor(fract(vec3(j) * ip.xyz) * 7.0) * ip.z - 1.0;
+      p.w = 1.5 - dot(abs(p.xyz), ones.xyz);
+      s = vec4(lessThan(p, vec4(0.0)));
+      p.xyz = p.xyz + (s.xyz * 2.0 - 1.0) * s.www;
+
+      return p;
+    }
+
+    float snoise4d(vec4 v) {
+      const vec4 C = vec4(
+        0.138196601125011,   // (5 - sqrt(5)) / 20 = G4
+        0.276393202250021,   // 2 * G4
+        0.414589803375032,   // 3 * G4
+        -0.447213595499958   // -1 + 4 * G4
+      );
+      const float F4 = 0.309016994374947451; // (sqrt(5) - 1) / 4
+
+      // First corner
+      vec4 i  = floor(v + dot(v, vec4(F4)));
+      vec4 x0 = v - i + dot(i, C.xxxx);
+
+      // Other corners: rank the components to find the simplex
+      vec4 i0;
+      vec3 isX = step(x0.yzw, x0.xxx);
+      vec3 isYZ = step(x0.zww, x0.yyz);
+      i0.x = isX.x + isX.y + isX.z;
+      i0.yzw = 1.0 - isX;
+      i0.y += isYZ.x + isYZ.y;
+      i0.zw += 1.0 - isYZ.xy;
+      i0.z += isYZ.z;
+      i0.w += 1.0 - isYZ.z;
+
+      vec4 i3 = clamp(i0, 0.0, 1.0);
+      vec4 i2 = clamp(i0 - 1.0, 0.0, 1.0);
+      vec4 i1 = clamp(i0 - 2.0, 0.0, 1.0);
+
+      vec4 x1 = x0 - i1 + C.xxxx;
+      vec4 x2 = x0 - i2 + C.yyyy;
+      vec4 x3 = x0 - i3 + C.zzzz;
+      vec4 x4 = x0 + C.wwww;
+
+      // Permutations
+      i = mod289(i);
+      float j0 = permute(permute(permute(permute(i.w) + i.z) + i.y) + i.x);
+      vec4 j1 = permute(permute(permute(permute(
+                 i.w + vec4(i1.w, i2.w, i3.w, 1.0))
+               + i.z + vec4(i1.z, i2.z, i3.z, 1.0))
+               + i.y + vec4(i1.y, i2.y, i3.y, 1.0))
+               + i.x + vec4(i1.x, i2.x, i3.x, 1.0));
+
+      // Gradients: 7x7x6 points over a cube, mapped onto a 4-cross polytope
+      vec4 ip = vec4(1.0 / 294.0, 1.0 / 49.0, 1.0 / 7.0, 0.0);
+
+      vec4 p0 = grad4(j0, ip);
+      vec4 p1 = grad4(j1.x, ip);
+      vec4 p2 = grad4(j1.y, ip);
+      vec4 p3 = grad4(j1.z, ip);
+      vec4 p4 = grad4(j1.w, ip);
+
+      // Normalize gradients
+      vec4 norm = taylorInvSqrt(vec4(dot(p0,p0), dot(p1,p1), dot(p2,p2), dot(p3,p3)));
+      p0 *= norm.x;
+      p1 *= norm.y;
+      p2 *= norm.z;
+      p3 *= norm.w;
+      p4 *= taylorInvSqrt(dot(p4,p4));
+
+      // Mix contributions
+      vec3 m0 = max(0.6 - vec3(dot(x0,x0), dot(x1,x1), dot(x2,x2)), 0.0);
+      vec2 m1 = max(0.6 - vec2(dot(x3,x3), dot(x4,x4)), 0.0);
+      m0 = m0 * m0;
+      m1 = m1 * m1;
+      return 49.0 * (dot(m0*m0, vec3(dot(p0, x0), dot(p1, x1), dot(p2, x2)))
+                   + dot(m1*m1, vec2(dot(p3, x3), dot(p4, x4))));
+    }
+
+    // ========================================================================
+    // FRACTAL BROWNIAN MOTION AND NOISE VARIANTS
+    // Mirrored in cpu-noise-sampler.js - keep both in sync
+    // ========================================================================
+
+    #define MAX_OCTAVES 8
+
+    // Shape a single octave in [-1, 1] according to the noise type
+    float shapeOctave(float n) {
+      if (uNoiseType == 1) {
+        // Ridged: sharp crests where the noise crosses zero
+        float r = 1.0 - abs(n);
+        return r * r * 2.0 - 1.0;
+      }
+      if (uNoiseType == 2) {
+        // Billow: rounded, cloud-like lobes
+        return abs(n) * 2.0 - 1.0;
+      }
+      return n;
+    }
+
+    // One octave of raw noise at spatial position p and time coordinate w:
+    // 4D with w as the fourth axis, or 3D with w scrolling along Z
+    float octaveNoise(vec3 p, float w) {
+      if (uNoise4D) {
+        return snoise4d(vec4(p, w));
+      }
+      return snoise3d(p + vec3(0.0, 0.0, w));
+    }
+
+    // Sum of octaves, normalized back to [-1, 1]
+    float fbm(vec3 p, float w) {
+      float sum = 0.0;
+      float amplitude = 1.0;
+      float frequency = 1.0;
+      float norm = 0.0;
+
+      for (int i = 0; i < MAX_OCTAVES; i++) {
+        if (i >= uOctaves) break;
+        sum += amplitude * shapeOctave(octaveNoise(p * frequency, w * frequency));
+        norm += amplitude;
+        amplitude *= uGain;
+        frequency *= uLacunarity;
+      }
+
+      return sum / norm;
+    }
+
+    // The field both the display and the sampler read
+    float fieldNoise(vec3 p, float w) {
+      if (uNoiseType == 3) {
+        // Domain warp: displace p by three decorrelated fBm fields
+        vec3 warp = vec3(
+          fbm(p + vec3(1.7, 9.2, 3.1), w),
+          fbm(p + vec3(8.3, 2.8, 5.5), w),
+          fbm(p + vec3(4.1, 6.7, 0.9), w)
+        );
+        return fbm(p + uWarpStrength * warp, w);
+      }
+      return fbm(p, w);
+    }
+
     // ========================================================================
     // MAIN FRAGMENT SHADER
     // ========================================================================
 
     void main() {
-      // Sample 3D noise at world position with time animation
-      vec3 p = vWorldPos * uSpatialScale + vec3(0.0, 0.0, uTime * uTimeScale);
+      // Sample noise at world position with time animation; time is
+      // either a Z offset (3D) or the W coordinate (4D)
+      // The field turns with the mesh: read it in the mesh's frame.
+      // The seed shifts the point to a different region of the lattice.
+      vec3 p = (uFieldRotation * vWorldPos) * uSpatialScale + uSeedOffset.xyz;
+      float w = uTime * uTimeScale + uSeedOffset.w;
       
       // Get noise value in range [-1, 1]
-      float noise = snoise3d(p);
+      float noise = fieldNoise(p, w);
       
       // Normalize to [0, 1] for visualization
       float value = noise * 0.5 + 0.5;
@@ -415,12 +757,12 @@ scene.add(noiseMesh);
  * - This creates a spatial-to-temporal mapping where rotation around
  *   the sphere becomes a musical sequence
  */
-function generateLinePositions() {
+function generateLinePositions(count = MIDI_STEPS) {
   const points = [];
   const radius = 1.0; // Sphere radius
 
-  for (let i = 0; i < MIDI_STEPS; i++) {
-    const angle = (i / MIDI_STEPS) * Math.PI * 2;
+  for (let i = 0; i < count; i++) {
+    const angle = (i / count) * Math.PI * 2;
 
     // Points on equator (y=0 plane)
     const x = Math.cos(angle) * radius;
@@ -437,15 +779,15 @@ function generateLinePositions() {
  * Generate random points scattered across the sphere surface
  * Uses Fibonacci sphere algorithm for even distribution
  */
-function generateRandomPositions() {
+function generateRandomPositions(count = MIDI_STEPS) {
   const points = [];
   const radius = 1.0;
   const goldenRatio = (1 + Math.sqrt(5)) / 2;
 
-  for (let i = 0; i < MIDI_STEPS; i++) {
+  for (let i = 0; i < count; i++) {
     // Fibonacci sphere distribution
     const theta = 2 * Math.PI * i / goldenRatio;
-    const phi = Math.acos(1 - 2 * (i + 0.5) / MIDI_STEPS);
+    const phi = Math.acos(1 - 2 * (i + 0.5) / count);
 
     const x = radius * Math.cos(theta) * Math.sin(phi);
     const y = radius * Math.sin(theta) * Math.sin(phi);
@@ -457,34 +799,314 @@ function generateRandomPositions() {
   return points;
 }
 
+// User-drawn path: editable handle points on the unit sphere (null = none)
+let drawnPath = null;
+
+/**
+ * Resample a polyline to `count` points spaced evenly by arc length,
+ * projected back onto the unit sphere
+ */
+function resamplePathByArcLength(points, count) {
+  if (points.length === 0 || count <= 0) return [];
+  if (points.length === 1 || count === 1) {
+    return Array.from({ length: count }, () => points[0].clone().normalize());
+  }
+
+  const cumulative = [0];
+  for (let i = 1; i < points.length; i++) {
+    cumulative.push(cumulative[i - 1] + points[i].distanceTo(points[i - 1]));
+  }
+  const totalLength = cumulative[cumulative.length - 1];
+
+  const result = [];
+  let segment = 0;
+  for (let k = 0; k < count; k++) {
+    const target = totalLength * k / (count - 1);
+    while (segment < points.length - 2 && cumulative[segment + 1] < target) {
+      segment++;
+    }
+    const segmentLength = cumulative[segment + 1] - cumulative[segment];
+    const t = segmentLength > 0 ? (target - cumulative[segment]) / segmentLength : 0;
+    result.push(
+      new THREE.Vector3().lerpVectors(points[segment], points[segment + 1], t).normalize()
+    );
+  }
+
+  return result;
+}
+
+// Dense sampling used to spread sensors evenly along parametric curves
+const CURVE_RESOLUTION = 512;
+
+/**
+ * Sample a closed curve `fn(t)`, t in [0, 1), at `count` points spaced
+ * evenly by arc length (curves rarely have constant speed in t)
+ */
+function sampleClosedCurve(fn, count) {
+  const dense = [];
+  for (let i = 0; i <= CURVE_RESOLUTION; i++) {
+    dense.push(fn((i % CURVE_RESOLUTION) / CURVE_RESOLUTION).normalize());
+  }
+  return resamplePathByArcLength(dense, count + 1).slice(0, count);
+}
+
+/**
+ * Point on the unit sphere from latitude/longitude (radians)
+ */
+function sphericalPoint(lat, lon) {
+  return new THREE.Vector3(
+    Math.cos(lat) * Math.cos(lon),
+    Math.sin(lat),
+    Math.cos(lat) * Math.sin(lon)
+  );
+}
+
+/**
+ * Sensor layout registry.
+ * Each layout has a display `name` (short, for the distribution readout), a
+ * `label` for menus, editable `params` ({ label, min, max, step, value }) and
+ * `generate(count, params)` returning `count` points on the unit sphere.
+ * The distribution slider morphs between any two of these.
+ */
+const SENSOR_LAYOUTS = {
+  line: {
+    name: 'Line',
+    label: 'Equator line',
+    params: {},
+    generate: (count) => generateLinePositions(count)
+  },
+
+  fibonacci: {
+    name: 'Chaos',
+    label: 'Fibonacci scatter',
+    params: {},
+    generate: (count) => generateRandomPositions(count)
+  },
+
+  loxodrome: {
+    name: 'Spiral',
+    label: 'Loxodrome spiral',
+    params: {
+      turns: { label: 'Turns', min: 0.5, max: 8, step: 0.5, value: 3 },
+      extent: { label: 'Pole Reach', min: 0.1, max: 0.99, step: 0.01, value: 0.9 }
+    },
+    // Rhumb line: constant bearing, so longitude grows with the Mercator
+    // latitude. Sensors run pole to pole and back so the cycle is closed.
+    generate: (count, { turns, extent }) => {
+      const maxLat = extent * Math.PI / 2;
+      const maxMercator = Math.log(Math.tan(Math.PI / 4 + maxLat / 2));
+      return sampleClosedCurve(t => {
+        const sweep = t < 0.5 ? t * 2 : 2 - t * 2;           // 0 → 1 → 0
+        const mercator = (sweep * 2 - 1) * maxMercator;
+        const lat = 2 * Math.atan(Math.exp(mercator)) - Math.PI / 2;
+        const lon = (t < 0.5 ? 1 : -1) * (sweep * 2 - 1) * turns * Math.PI * 2;
+        return sphericalPoint(lat, lon);
+      }, count);
+    }
+  },
+
+  rings: {
+    name: 'Rings',
+    label: 'Latitude rings',
+    params: {
+      rings: { label: 'Rings', min: 1, max: 6, step: 1, value: 3 },
+      spread: { label: 'Latitude Spread', min: 0.1, max: 1.4, step: 0.05, value: 0.9 }
+    },
+    // Sensors are shared between rings in proportion to ring circumference
+    generate: (count, { rings, spread }) => {
+      const ringCount = Math.max(1, Math.min(Math.round(rings), count));
+      const lats = [];
+      for (let r = 0; r < ringCount; r++) {
+        lats.push(ringCount === 1 ? 0 : spread * (r / (ringCount - 1) * 2 - 1));
+      }
+      const weights = lats.map(lat => Math.cos(lat));
+      const totalWeight = weights.reduce((a, b) => a + b, 0);
+
+      const points = [];
+      let assigned = 0;
+      lats.forEach((lat, r) => {
+        const remainingRings = ringCount - r - 1;
+        const share = r === ringCount - 1
+          ? count - assigned
+          : Math.max(1, Math.min(count - assigned - remainingRings,
+            Math.round(count * weights[r] / totalWeight)));
+        for (let i = 0; i < share; i++) {
+          // Alternate ring direction so consecutive rings join up
+          const u = r % 2 === 0 ? i / share : 1 - (i + 1) / share;
+          points.push(sphericalPoint(lat, u * Math.PI * 2));
+        }
+        assigned += share;
+      });
+      return points;
+    }
+  },
+
+  torusKnot: {
+    name: 'Knot',
+    label: 'Torus knot',
+    params: {
+      p: { label: 'P (Windings)', min: 1, max: 8, step: 1, value: 2 },
+      q: { label: 'Q (Loops)', min: 1, max: 8, step: 1, value: 3 },
+      tube: { label: 'Tube Ratio', min: 0.1, max: 0.9, step: 0.05, value: 0.5 }
+    },
+    // (p, q) torus knot, projected radially onto the sphere
+    generate: (count, { p, q, tube }) => sampleClosedCurve(t => {
+      const a = t * Math.PI * 2;
+      const ring = 1 + tube * Math.cos(q * a);
+      return new THREE.Vector3(
+        ring * Math.cos(p * a),
+        tube * Math.sin(q * a),
+        ring * Math.sin(p * a)
+      );
+    }, count)
+  },
+
+  lissajous: {
+    name: 'Lissajous',
+    label: 'Lissajous',
+    params: {
+      a: { label: 'Longitude Freq', min: 1, max: 8, step: 1, value: 3 },
+      b: { label: 'Latitude Freq', min: 1, max: 8, step: 1, value: 2 },
+      phase: { label: 'Phase', min: 0, max: 1, step: 0.05, value: 0.25 }
+    },
+    // Lissajous figure in longitude/latitude
+    generate: (count, { a, b, phase }) => sampleClosedCurve(t => {
+      const angle = t * Math.PI * 2;
+      const lon = Math.PI * Math.sin(a * angle + phase * Math.PI * 2);
+      const lat = 0.45 * Math.PI * Math.sin(b * angle);
+      return sphericalPoint(lat, lon);
+    }, count)
+  },
+
+  greatCircle: {
+    name: 'Circle',
+    label: 'Tilted great circle',
+    params: {
+      tilt: { label: 'Tilt (°)', min: 0, max: 90, step: 1, value: 45 },
+      azimuth: { label: 'Azimuth (°)', min: 0, max: 360, step: 5, value: 0 }
+    },
+    // Equator rotated about X by `tilt`, then about Y by `azimuth`
+    generate: (count, { tilt, azimuth }) => {
+      const rotation = new THREE.Euler(
+        THREE.MathUtils.degToRad(tilt),
+        THREE.MathUtils.degToRad(azimuth),
+        0,
+        'YXZ'
+      );
+      return generateLinePositions(count).map(p => p.applyEuler(rotation));
+    }
+  },
+
+  path: {
+    name: 'Path',
+    label: 'Drawn path',
+    params: {},
+    available: () => drawnPath !== null,
+    generate: (count) => resamplePathByArcLength(drawnPath, count)
+  }
+};
+
+/**
+ * Generate `count` sensor positions for a registered layout,
+ * falling back to the equator line if it is unavailable
+ */
+function generateLayoutPositions(layoutId, count = MIDI_STEPS) {
+  const layout = SENSOR_LAYOUTS[layoutId];
+  if (!layout || (layout.available && !layout.available())) {
+    return generateLinePositions(count);
+  }
+  const params = {};
+  Object.entries(layout.params).forEach(([key, param]) => {
+    params[key] = param.value;
+  });
+  return layout.generate(count, params);
+}
+
+// Layouts at either end of the distribution slider
+let morphFromLayout = 'line';
+let morphToLayout = 'fibonacci';
+
 // Generate both position sets
-const linePositions = generateLinePositions();
-const randomPositions = generateRandomPositions();
+const morphFromPositions = generateLayoutPositions(morphFromLayout);
+const morphToPositions = generateLayoutPositions(morphToLayout);
 
-// Start with line positions
-const samplePoints = linePositions.map(p => p.clone());
+// Start with the "from" layout
+const samplePoints = morphFromPositions.map(p => p.clone());
 
-// Sensor distribution (0 = line, 1 = chaos)
+// Sensor distribution (0 = "from" layout, 1 = "to" layout)
 let sensorDistribution = 0.0;
 
 // Sensor animation speed
 let sensorAnimationSpeed = 0.0;
 
+// Sensor depth: radius 1 = on the surface, < 1 probes the field's interior.
+// Breathing modulates the radius sinusoidally; breathSpread staggers its
+// phase along the sequence (0 = all in unison, 1 = one wave per cycle).
+const sensorDepth = {
+  radius: 1.0,
+  breathDepth: 0.0,
+  breathRate: 0.25,   // Hz
+  breathSpread: 0.0
+};
+
+// Keep sensors off the exact centre, where the radial direction is undefined
+const MIN_SENSOR_RADIUS = 0.05;
+
 /**
- * Update sensor positions by morphing between line and random positions
- * with optional cosine-based animation for each point
- * Also updates beacon poles and tube connections
+ * Radius of sensor `i` at time `t` (seconds)
  */
-function updateSensorPositions(mix, animatedMix = null) {
-  for (let i = 0; i < MIDI_STEPS; i++) {
-    // Use animated mix if provided, otherwise use static mix
-    const currentMix = animatedMix !== null ? animatedMix[i] : mix;
+function sensorRadiusAt(i, t) {
+  const phase = sensorDepth.breathRate * t + sensorDepth.breathSpread * i / MIDI_STEPS;
+  const radius = sensorDepth.radius + sensorDepth.breathDepth * Math.sin(phase * Math.PI * 2);
+  return Math.max(MIN_SENSOR_RADIUS, Math.min(1.0, radius));
+}
+
+function isSensorBreathing() {
+  return sensorDepth.breathDepth > 0 && sensorDepth.breathRate > 0;
+}
+
+// Clock that sensor animation, breathing and field spin follow (seconds):
+// the display field time, so in transport mode everything that moves is
+// tied to the beat rather than to wall time or frame rate. Set every frame.
+let motionTime = 0;
+
+/**
+ * Morph amount of sensor `i` at motion time `t`. With animation on, each
+ * sensor swings around the base distribution with its own cosine phase.
+ */
+function sensorMixAt(i, t) {
+  if (sensorAnimationSpeed <= 0) return sensorDistribution;
+  // Each sensor gets a unique phase offset based on its index
+  const phase = (i / MIDI_STEPS) * Math.PI * 2;
+  // Oscillate between 0 and 1, blended with the base distribution
+  const cosineValue = (Math.cos(t * sensorAnimationSpeed + phase) + 1.0) / 2.0;
+  return sensorDistribution * 0.5 + cosineValue * 0.5;
+}
+
+function isSensorMoving() {
+  return sensorAnimationSpeed > 0 || isSensorBreathing();
+}
 
-    // Linear interpolation between line and random positions
-    samplePoints[i].lerpVectors(linePositions[i], randomPositions[i], currentMix);
+/**
+ * Position of sensor `i` at motion time `t`, written into `target`
+ */
+function sensorPositionAt(i, t, target) {
+  // Linear interpolation between the two layouts, projected onto the
+  // sphere at this sensor's depth
+  return target
+    .lerpVectors(morphFromPositions[i], morphToPositions[i], sensorMixAt(i, t))
+    .normalize()
+    .multiplyScalar(sensorRadiusAt(i, t));
+}
 
-    // Normalize to ensure sensor stays on sphere surface (radius = 1.0)
-    samplePoints[i].normalize();
+/**
+ * Update sensor positions by morphing between the "from" and "to" layouts
+ * (with per-sensor animation and breathing at motion time `t`)
+ * Also updates beacon poles and tube connections
+ */
+function updateSensorPositions(t = motionTime) {
+  for (let i = 0; i < MIDI_STEPS; i++) {
+    sensorPositionAt(i, t, samplePoints[i]);
   }
 
   // Update beacon poles and tops
@@ -552,14 +1174,8 @@ function updateSensorPositions(mix, animatedMix = null) {
     scene.add(tube);
   }
 
-  // Update the sampling geometry world positions
-  const worldPositions = samplingGeometry.attributes.worldPosition.array;
-  for (let i = 0; i < MIDI_STEPS; i++) {
-    worldPositions[i * 3] = samplePoints[i].x;
-    worldPositions[i * 3 + 1] = samplePoints[i].y;
-    worldPositions[i * 3 + 2] = samplePoints[i].z;
-  }
-  samplingGeometry.attributes.worldPosition.needsUpdate = true;
+  // Note: the sampling geometry reads samplePoints on every
+  // sampleNoiseFromGPU() call, so it needs no update here
 }
 
 // Height of beacon poles above sphere surface
@@ -592,16 +1208,16 @@ function rebuildBeaconsAndTubes() {
   tubeSegments = [];
 
   // Regenerate positions with new step count
-  const newLinePositions = generateLinePositions();
-  const newRandomPositions = generateRandomPositions();
+  const newFromPositions = generateLayoutPositions(morphFromLayout);
+  const newToPositions = generateLayoutPositions(morphToLayout);
 
-  linePositions.length = 0;
-  randomPositions.length = 0;
+  morphFromPositions.length = 0;
+  morphToPositions.length = 0;
   samplePoints.length = 0;
 
-  newLinePositions.forEach(p => linePositions.push(p));
-  newRandomPositions.forEach(p => randomPositions.push(p));
-  newLinePositions.forEach(p => samplePoints.push(p.clone()));
+  newFromPositions.forEach(p => morphFromPositions.push(p));
+  newToPositions.forEach(p => morphToPositions.push(p));
+  newFromPositions.forEach(p => samplePoints.push(p.clone()));
 
   // Create new beacons
   for (let i = 0; i < MIDI_STEPS; i++) {
@@ -677,6 +1293,9 @@ function rebuildBeaconsAndTubes() {
 
   // Rebuild sampling geometry
   rebuildSamplingGeometry();
+
+  // Apply the current distribution and depth to the new sensors
+  updateSensorPositions();
 }
 
 // Track current step for glow animation
@@ -786,15 +1405,17 @@ function updateSequenceGlow() {
     }
   }
 
-  // Advance to next step when time is up
-  if (timeSinceStepStart >= STEP_MS) {
-    currentStep = (currentStep + 1) % MIDI_STEPS;
-    stepStartTime = now;
-
-    // Pluck the string for the new current step
-    // Only pluck if we haven't already plucked this step (prevents duplicate plucks)
-    if (currentStep !== lastPluckedStep) {
-      pluckString(currentStep, 80);
+  // Advance to the next step once the clock reaches its scheduled time
+  while (stepQueue.length > 0 && stepQueue[0].time <= now) {
+    const { step, time, velocity, rest, retrigger } = stepQueue.shift();
+    currentStep = step;
+    stepStartTime = time;
+
+    // Pluck the string for the new current step (resting steps stay still)
+    // Only pluck if we haven't already plucked this step (prevents duplicate
+    // plucks), unless it is a ratchet repeat
+    if ((currentStep !== lastPluckedStep || retrigger) && !rest) {
+      pluckString(currentStep, velocity);
       lastPluckedStep = currentStep;
     }
   }
@@ -807,13 +1428,11 @@ function updateSequenceGlow() {
 /**
  * Create a minimal render target for sampling noise values.
  * We render just the sample points to extract their noise values.
+ * One pixel per probe; the target grows when more probes are requested
+ * (e.g. sensors plus their expression probes) and never shrinks.
  */
-let samplingTarget = new THREE.WebGLRenderTarget(MIDI_STEPS, 1, {
-  minFilter: THREE.NearestFilter,
-  magFilter: THREE.NearestFilter,
-  format: THREE.RGBAFormat,
-  type: THREE.UnsignedByteType
-});
+let samplingCapacity = MIDI_STEPS;
+let samplingTarget = null;
 
 // Create a camera and scene for sampling
 const samplingScene = new THREE.Scene();
@@ -821,39 +1440,121 @@ const samplingCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 10);
 samplingCamera.position.z = 1;
 
 // Create sampling geometry: one pixel per sample point
-let samplingGeometry = new THREE.BufferGeometry();
+let samplingGeometry = null;
 let samplingPoints = null;
 
-// Sampling shader - evaluates noise at specific world positions
+/**
+ * Sampling precision, chosen once from what the context can render to:
+ * - float:  32-bit float target (WebGL2 + EXT_color_buffer_float)
+ * - half:   16-bit float target
+ * - packed: 8-bit RGBA target with the value spread over all four bytes
+ * Any of these avoids the 256-level stair-stepping of a plain 8-bit read.
+ */
+function chooseSamplingFormat() {
+  const { isWebGL2 } = renderer.capabilities;
+  const ext = renderer.extensions;
+
+  const canRenderFloat = isWebGL2
+    ? ext.has('EXT_color_buffer_float')
+    : ext.has('OES_texture_float') && ext.has('WEBGL_color_buffer_float');
+  if (canRenderFloat) {
+    return {
+      name: 'float',
+      type: THREE.FloatType,
+      createBuffer: (length) => new Float32Array(length),
+      decode: (buffer, i) => buffer[i * 4]
+    };
+  }
+
+  const canRenderHalfFloat = isWebGL2
+    ? ext.has('EXT_color_buffer_half_float')
+    : ext.has('OES_texture_half_float') && ext.has('EXT_color_buffer_half_float');
+  if (canRenderHalfFloat) {
+    return {
+      name: 'half',
+      type: THREE.HalfFloatType,
+      createBuffer: (length) => new Uint16Array(length),
+      decode: (buffer, i) => THREE.DataUtils.fromHalfFloat(buffer[i * 4])
+    };
+  }
+
+  return {
+    name: 'packed',
+    type: THREE.UnsignedByteType,
+    createBuffer: (length) => new Uint8Array(length),
+    decode: (buffer, i) => (
+      buffer[i * 4] / 255 +
+      buffer[i * 4 + 1] / (255 * 255) +
+      buffer[i * 4 + 2] / (255 * 255 * 255) +
+      buffer[i * 4 + 3] / (255 * 255 * 255 * 255)
+    ),
+    defines: { PACK_RGBA: '' }
+  };
+}
+
+const samplingFormat = chooseSamplingFormat();
+console.log('🎯 Sampling precision:', samplingFormat.name);
+
+// Fragment output for the sampling shader: the raw value for float targets,
+// or the value packed into 4 bytes (base 255) for an 8-bit target
+const samplingOutputGLSL = /* glsl */`
+      value = clamp(value, 0.0, 1.0);
+#ifdef PACK_RGBA
+      vec4 enc = fract(vec4(1.0, 255.0, 65025.0, 16581375.0) * min(value, 0.9999999));
+      enc -= enc.yzww * vec4(1.0 / 255.0, 1.0 / 255.0, 1.0 / 255.0, 0.0);
+      gl_FragColor = enc;
+#else
+      gl_FragColor = vec4(vec3(value), 1.0);
+#endif`;
+
+// Sampling shader - evaluates noise at specific world positions.
+// Each probe may carry its own time offset (in seconds of uTime).
 const samplingMaterial = new THREE.ShaderMaterial({
   uniforms: {
     uSpatialScale: material.uniforms.uSpatialScale,
     uTimeScale: material.uniforms.uTimeScale,
-    uTime: material.uniforms.uTime
+    uTime: material.uniforms.uTime,
+    uNoiseType: material.uniforms.uNoiseType,
+    uOctaves: material.uniforms.uOctaves,
+    uLacunarity: material.uniforms.uLacunarity,
+    uGain: material.uniforms.uGain,
+    uWarpStrength: material.uniforms.uWarpStrength,
+    uNoise4D: material.uniforms.uNoise4D,
+    uFieldRotation: material.uniforms.uFieldRotation,
+    uSeedOffset: material.uniforms.uSeedOffset
   },
   vertexShader: /* glsl */`
     attribute vec3 worldPosition;
+    attribute float timeOffset;
     varying vec3 vWorldPos;
+    varying float vTimeOffset;
 
     void main() {
       vWorldPos = worldPosition;
+      vTimeOffset = timeOffset;
       gl_Position = vec4(position.xy, 0.0, 1.0);
       gl_PointSize = 1.0;
     }
   `,
   fragmentShader: simplexNoiseShader.fragmentShader.replace(
     'varying vec3 vNormal;',
-    '// vNormal removed for sampling'
+    'varying float vTimeOffset;'
+  ).replace(
+    'uTime * uTimeScale',
+    '(uTime + vTimeOffset) * uTimeScale'
   ).replace(
     /vec3 lightDir[^;]*;[\s\S]*gl_FragColor = vec4\(color \* diffuse, 0\.5\);/,
-    'gl_FragColor = vec4(vec3(value), 1.0);'
-  )
+    samplingOutputGLSL
+  ),
+  defines: samplingFormat.defines || {}
 });
 
 /**
- * Rebuild sampling geometry when step count changes
+ * Rebuild sampling geometry and render target for a given probe capacity
  */
-function rebuildSamplingGeometry() {
+function rebuildSamplingGeometry(capacity = Math.max(samplingCapacity, MIDI_STEPS)) {
+  samplingCapacity = capacity;
+
   // Dispose old geometry
   if (samplingGeometry) {
     samplingGeometry.dispose();
@@ -863,35 +1564,36 @@ function rebuildSamplingGeometry() {
   if (samplingTarget) {
     samplingTarget.dispose();
   }
-  samplingTarget = new THREE.WebGLRenderTarget(MIDI_STEPS, 1, {
+  samplingTarget = new THREE.WebGLRenderTarget(samplingCapacity, 1, {
     minFilter: THREE.NearestFilter,
     magFilter: THREE.NearestFilter,
     format: THREE.RGBAFormat,
-    type: THREE.UnsignedByteType
+    type: samplingFormat.type
   });
 
   // Create new geometry
   samplingGeometry = new THREE.BufferGeometry();
-  const samplingPositions = new Float32Array(MIDI_STEPS * 3);
+  const samplingPositions = new Float32Array(samplingCapacity * 3);
 
-  samplePoints.forEach((point, i) => {
-    // Map sample points to screen space [-1, 1]
-    const x = (i / MIDI_STEPS) * 2 - 1 + (1 / MIDI_STEPS);
+  for (let i = 0; i < samplingCapacity; i++) {
+    // Map probe index to pixel centers in screen space [-1, 1]
+    const x = (i / samplingCapacity) * 2 - 1 + (1 / samplingCapacity);
     samplingPositions[i * 3] = x;
     samplingPositions[i * 3 + 1] = 0;
     samplingPositions[i * 3 + 2] = 0;
-  });
+  }
 
   samplingGeometry.setAttribute('position', new THREE.BufferAttribute(samplingPositions, 3));
 
-  // Store world positions as attribute
-  const worldPositions = new Float32Array(MIDI_STEPS * 3);
-  samplePoints.forEach((point, i) => {
-    worldPositions[i * 3] = point.x;
-    worldPositions[i * 3 + 1] = point.y;
-    worldPositions[i * 3 + 2] = point.z;
-  });
-  samplingGeometry.setAttribute('worldPosition', new THREE.BufferAttribute(worldPositions, 3));
+  // World positions and time offsets are filled in per sampling call
+  samplingGeometry.setAttribute(
+    'worldPosition',
+    new THREE.BufferAttribute(new Float32Array(samplingCapacity * 3), 3)
+  );
+  samplingGeometry.setAttribute(
+    'timeOffset',
+    new THREE.BufferAttribute(new Float32Array(samplingCapacity), 1)
+  );
 
   // Recreate sampling points mesh
   if (samplingPoints) {
@@ -909,11 +1611,30 @@ rebuildBeaconsAndTubes();
 // ============================================================================
 
 /**
- * Sample the 3D noise field at our fixed spatial coordinates.
- * Returns an array of 16 noise values [0..1].
+ * Sample the 3D noise field at the given probe positions (the sensors by
+ * default). A probe may carry a `timeOffset` in seconds.
+ * Returns an array of noise values [0..1], one per probe.
  */
-function sampleNoiseFromGPU() {
-  const pixelBuffer = new Uint8Array(MIDI_STEPS * 4);
+function sampleNoiseFromGPU(points = samplePoints) {
+  const count = points.length;
+  if (count > samplingCapacity) {
+    rebuildSamplingGeometry(count);
+  }
+
+  // Upload probe positions
+  const worldPositions = samplingGeometry.attributes.worldPosition.array;
+  const timeOffsets = samplingGeometry.attributes.timeOffset.array;
+  for (let i = 0; i < count; i++) {
+    worldPositions[i * 3] = points[i].x;
+    worldPositions[i * 3 + 1] = points[i].y;
+    worldPositions[i * 3 + 2] = points[i].z;
+    timeOffsets[i] = points[i].timeOffset || 0;
+  }
+  samplingGeometry.attributes.worldPosition.needsUpdate = true;
+  samplingGeometry.attributes.timeOffset.needsUpdate = true;
+  samplingGeometry.setDrawRange(0, count);
+
+  const pixelBuffer = samplingFormat.createBuffer(count * 4);
   
   // Render sample points to offscreen target
   renderer.setRenderTarget(samplingTarget);
@@ -924,20 +1645,33 @@ function sampleNoiseFromGPU() {
   renderer.readRenderTargetPixels(
     samplingTarget,
     0, 0,
-    MIDI_STEPS, 1,
+    count, 1,
     pixelBuffer
   );
   
   // Extract values
   const values = [];
-  for (let i = 0; i < MIDI_STEPS; i++) {
-    const r = pixelBuffer[i * 4];
-    values.push(r / 255);
+  for (let i = 0; i < count; i++) {
+    values.push(samplingFormat.decode(pixelBuffer, i));
   }
   
   return values;
 }
 
+/**
+ * Noise samplers share one interface: sample(points) -> values [0..1].
+ * Points are {x, y, z} world positions with an optional `timeOffset`.
+ * The CPU sampler evaluates them directly and needs no WebGL context.
+ */
+const gpuNoiseSampler = {
+  name: 'gpu',
+  sample: (points) => sampleNoiseFromGPU(points)
+};
+
+const cpuNoiseSampler = createCPUNoiseSampler(material.uniforms);
+
+let noiseSampler = gpuNoiseSampler;
+
 // ============================================================================
 // INTERACTIVE STRING CONTROLS
 // ============================================================================
@@ -972,7 +1706,7 @@ function initStringPhysics(index) {
  * @param {number} channel - MIDI channel (0-15)
  * @param {number} value - Pitch bend value (0-16383, center is 8192)
  */
-function sendPitchBend(channel, value) {
+function sendPitchBend(channel, value, time = 0) {
   if (!midiOutput) return;
 
   // Clamp value to valid range
@@ -983,7 +1717,18 @@ function sendPitchBend(channel, value) {
   const msb = (clampedValue >> 7) & 0x7F;
 
   // Send pitch bend message (0xE0 + channel)
-  midiOutput.send([0xE0 | channel, lsb, msb]);
+  sendMIDI([0xE0 | channel, lsb, msb], time);
+}
+
+/**
+ * Pitch bend from the strings (plucks and drags). Left out while
+ * microtonal output is on: on the MPE manager channel it would bend the
+ * whole zone, and on a member channel it would overwrite the bend that
+ * tunes that channel's note.
+ */
+function sendStringBend(channel, value) {
+  if (microtonal.enabled) return;
+  sendPitchBend(channel, value);
 }
 
 /**
@@ -1093,6 +1838,9 @@ function updateStringDeformation(stringIndex, dragPosition) {
  * Handle mouse down - activate string
  */
 function onMouseDown(event) {
+  // Drawing or editing a sensor path takes over the mouse
+  if (pathEditMode !== 'off') return;
+
   if (hoveredString !== null) {
     const seg = tubeSegments[hoveredString];
     activeString = {
@@ -1235,7 +1983,7 @@ function updateStringPhysics() {
       }
 
       // Reset pitch bend
-      sendPitchBend(0, 8192);
+      sendStringBend(midiChannels.strings, 8192);
       continue;
     }
 
@@ -1265,7 +2013,7 @@ function updateStringPhysics() {
     const bendSensitivity = 8000;
     const bendAmount = physics.displacement.length() * bendSensitivity;
     const pitchBendValue = 8192 + bendAmount * (physics.velocity.length() > 0 ? 1 : -1);
-    sendPitchBend(0, pitchBendValue);
+    sendStringBend(midiChannels.strings, pitchBendValue);
   }
 }
 
@@ -1285,7 +2033,7 @@ function updateStringInteraction() {
     const sensitivity = 4096; // +/- 1 semitone at max displacement
     const pitchBendValue = 8192 + (displacement * sensitivity);
 
-    sendPitchBend(0, pitchBendValue);
+    sendStringBend(midiChannels.pitchBend, pitchBendValue);
 
     // Visual feedback based on bend amount
     const seg = tubeSegments[activeString.index];
@@ -1309,38 +2057,580 @@ renderer.domElement.addEventListener('mousedown', onMouseDown);
 renderer.domElement.addEventListener('mouseup', onMouseUp);
 
 // ============================================================================
-// WEBMIDI SETUP
+// DRAWN SENSOR PATHS
 // ============================================================================
 
-let midiOutput = null;
-let sequencerRunning = false;
+// 'off' | 'draw' (stroke a new path) | 'edit' (drag its handles)
+let pathEditMode = 'off';
 
-async function initMIDI() {
-  if (!('requestMIDIAccess' in navigator)) {
-    alert('WebMIDI not supported. Use Chrome/Edge on macOS.');
-    return false;
+// Number of editable handles a drawn stroke is simplified to
+const PATH_HANDLE_COUNT = 24;
+
+// localStorage key for saved paths ({ name: [[x, y, z], ...] })
+const SENSOR_PATHS_STORAGE_KEY = 'noiseMidi.sensorPaths';
+
+const pathRaycaster = new THREE.Raycaster();
+const pathPointer = new THREE.Vector2();
+let pathStroke = null;      // Raw points while drawing
+let draggedHandle = -1;     // Handle index while editing
+
+// Path preview line, floated just above the surface
+const pathLineMaterial = new THREE.LineBasicMaterial({ color: 0x00ff80, transparent: true, opacity: 0.8 });
+const pathLine = new THREE.Line(new THREE.BufferGeometry(), pathLineMaterial);
+pathLine.visible = false;
+scene.add(pathLine);
+
+// Draggable handles, shown in edit mode
+const pathHandleGeometry = new THREE.SphereGeometry(0.03, 12, 12);
+const pathHandleMaterial = new THREE.MeshBasicMaterial({ color: 0x00ff80 });
+const pathHandles = [];
+
+function updatePathLine(points) {
+  pathLine.geometry.dispose();
+  pathLine.geometry = new THREE.BufferGeometry().setFromPoints(
+    points.map(p => p.clone().multiplyScalar(1.01))
+  );
+  pathLine.visible = points.length > 1;
+}
+
+function updatePathHandles() {
+  const count = pathEditMode === 'edit' && drawnPath ? drawnPath.length : 0;
+
+  while (pathHandles.length < count) {
+    const handle = new THREE.Mesh(pathHandleGeometry, pathHandleMaterial);
+    scene.add(handle);
+    pathHandles.push(handle);
+  }
+  while (pathHandles.length > count) {
+    scene.remove(pathHandles.pop());
   }
 
-  try {
-    const access = await navigator.requestMIDIAccess();
-    
-    // Find IAC Driver or first available output
-    for (const output of access.outputs.values()) {
-      if (output.name.toLowerCase().includes('iac')) {
-        midiOutput = output;
-        break;
-      }
-    }
-    
-    if (!midiOutput) {
-      const firstOutput = access.outputs.values().next();
-      if (!firstOutput.done) {
-        midiOutput = firstOutput.value;
-      }
-    }
-    
+  pathHandles.forEach((handle, i) => {
+    handle.position.copy(drawnPath[i]).multiplyScalar(1.01);
+  });
+}
+
+/**
+ * Cast the pointer onto the sphere; returns a unit-sphere point or null
+ */
+function raycastSphereSurface(event) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  pathPointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+  pathPointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+  pathRaycaster.setFromCamera(pathPointer, camera);
+
+  const hits = pathRaycaster.intersectObject(noiseMesh);
+  return hits.length > 0 ? hits[0].point.clone().normalize() : null;
+}
+
+/**
+ * Regenerate both morph layouts (e.g. after a parameter or path edit)
+ * and move the sensors there
+ */
+function applySensorLayouts() {
+  const fromTargets = generateLayoutPositions(morphFromLayout);
+  const toTargets = generateLayoutPositions(morphToLayout);
+  morphFromPositions.length = 0;
+  morphToPositions.length = 0;
+  fromTargets.forEach(p => morphFromPositions.push(p));
+  toTargets.forEach(p => morphToPositions.push(p));
+  updateSensorPositions();
+
+  if (drawnPath) {
+    updatePathLine(drawnPath);
+  }
+  // Tracks following the drawn path
+  sensorTracks
+    .filter(track => track.layout === 'path')
+    .forEach(rebuildSensorTrack);
+
+  const pathInUse = morphFromLayout === 'path' || morphToLayout === 'path';
+  pathLine.visible = Boolean(drawnPath) && (pathInUse || pathEditMode !== 'off');
+  updatePathHandles();
+}
+
+function setPathEditMode(mode) {
+  pathEditMode = mode;
+  controls.enabled = mode === 'off';
+  pathStroke = null;
+  draggedHandle = -1;
+  applySensorLayouts();
+  updatePathModeButtons();
+  console.log('✏️ Path mode:', mode);
+}
+
+function onPathPointerDown(event) {
+  if (pathEditMode === 'draw') {
+    const hit = raycastSphereSurface(event);
+    if (hit) {
+      pathStroke = [hit];
+    }
+  } else if (pathEditMode === 'edit') {
+    const rect = renderer.domElement.getBoundingClientRect();
+    pathPointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    pathPointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    pathRaycaster.setFromCamera(pathPointer, camera);
+    const hits = pathRaycaster.intersectObjects(pathHandles);
+    draggedHandle = hits.length > 0 ? pathHandles.indexOf(hits[0].object) : -1;
+  }
+}
+
+function onPathPointerMove(event) {
+  if (pathEditMode === 'draw' && pathStroke) {
+    const hit = raycastSphereSurface(event);
+    if (hit && hit.distanceTo(pathStroke[pathStroke.length - 1]) > 0.01) {
+      pathStroke.push(hit);
+      updatePathLine(pathStroke);
+    }
+  } else if (pathEditMode === 'edit' && draggedHandle !== -1) {
+    const hit = raycastSphereSurface(event);
+    if (hit) {
+      drawnPath[draggedHandle].copy(hit);
+      applySensorLayouts();
+    }
+  }
+}
+
+function onPathPointerUp() {
+  if (pathEditMode === 'draw' && pathStroke) {
+    if (pathStroke.length >= 2) {
+      drawnPath = resamplePathByArcLength(pathStroke, PATH_HANDLE_COUNT);
+      if (morphFromLayout !== 'path') {
+        morphToLayout = 'path';
+        morphToSelect.value = 'path';
+        renderLayoutParams();
+      }
+      updateDistributionDisplay();
+      console.log(`✏️ Path drawn (${pathStroke.length} points)`);
+    }
+    // One stroke per draw; switch to editing so the result can be refined
+    setPathEditMode(drawnPath ? 'edit' : 'off');
+  }
+  draggedHandle = -1;
+}
+
+renderer.domElement.addEventListener('pointerdown', onPathPointerDown);
+renderer.domElement.addEventListener('pointermove', onPathPointerMove);
+renderer.domElement.addEventListener('pointerup', onPathPointerUp);
+
+function loadSavedPaths() {
+  try {
+    return JSON.parse(localStorage.getItem(SENSOR_PATHS_STORAGE_KEY)) || {};
+  } catch (err) {
+    return {};
+  }
+}
+
+function storeSavedPaths(paths) {
+  try {
+    localStorage.setItem(SENSOR_PATHS_STORAGE_KEY, JSON.stringify(paths));
+  } catch (err) {
+    console.warn('Could not save sensor paths:', err);
+  }
+}
+
+// ============================================================================
+// CROSS-SECTION VIEW
+// ============================================================================
+
+// 'off' | 'slice' (plane through the current sensor, facing the camera)
+// | 'shell' (sphere at the current sensor's radius)
+let crossSectionMode = 'off';
+
+// Same field as the sphere, unlit so the slice reads as a plain colour map
+const crossSectionMaterial = new THREE.ShaderMaterial({
+  uniforms: simplexNoiseShader.uniforms,
+  vertexShader: simplexNoiseShader.vertexShader,
+  fragmentShader: simplexNoiseShader.fragmentShader.replace(
+    'gl_FragColor = vec4(color * diffuse, 0.5);',
+    'gl_FragColor = vec4(color, 0.85);'
+  ),
+  side: THREE.DoubleSide,
+  transparent: true,
+  depthWrite: false
+});
+
+const crossSectionSlice = new THREE.Mesh(new THREE.CircleGeometry(1, 96), crossSectionMaterial);
+const crossSectionShell = new THREE.Mesh(new THREE.SphereGeometry(1, 64, 64), crossSectionMaterial);
+crossSectionSlice.visible = false;
+crossSectionShell.visible = false;
+scene.add(crossSectionSlice);
+scene.add(crossSectionShell);
+
+const sliceFacing = new THREE.Vector3(0, 0, 1);
+
+/**
+ * Move the cross-section to the sensor currently being played
+ */
+function updateCrossSection() {
+  crossSectionSlice.visible = crossSectionMode === 'slice';
+  crossSectionShell.visible = crossSectionMode === 'shell';
+  if (crossSectionMode === 'off') return;
+
+  const sensor = samplePoints[currentStep] || samplePoints[0];
+
+  if (crossSectionMode === 'slice') {
+    // Plane facing the camera through the sensor, clipped to the unit sphere
+    const normal = camera.position.clone().sub(controls.target).normalize();
+    const distance = Math.max(-0.999, Math.min(0.999, sensor.dot(normal)));
+    crossSectionSlice.position.copy(normal).multiplyScalar(distance);
+    crossSectionSlice.quaternion.setFromUnitVectors(sliceFacing, normal);
+    crossSectionSlice.scale.setScalar(Math.sqrt(1 - distance * distance));
+  } else {
+    crossSectionShell.scale.setScalar(Math.max(MIN_SENSOR_RADIUS, sensor.length()));
+  }
+}
+
+// ============================================================================
+// FIELD ROTATION
+// ============================================================================
+
+// The noise field is attached to noiseMesh. Turning the mesh (by dragging in
+// field-rotation mode, or by auto-spin) carries the field past the sensors,
+// which stay put in world space like a stylus over a record. Every shader
+// reads the field through uFieldRotation, the inverse of the mesh rotation,
+// so the sphere, the cross-section and the GPU/CPU samplers agree.
+const fieldRotation = {
+  dragEnabled: false, // Drag rotates the field instead of orbiting the camera
+  spinSpeed: 0.0      // Auto-spin around the world Y axis (rad/s)
+};
+
+// Radians of rotation per pixel dragged
+const FIELD_DRAG_SPEED = 0.005;
+
+let fieldDrag = null; // Last pointer position while dragging
+const fieldInverseQuaternion = new THREE.Quaternion();
+const fieldRotationMatrix4 = new THREE.Matrix4();
+const worldUp = new THREE.Vector3(0, 1, 0);
+
+// Auto-spin is a function of motion time: at time t the field is
+// spinOrigin.quaternion turned by spinSpeed * (t - spinOrigin.time) about
+// world Y. Anything else that turns the field moves the origin instead.
+const spinOrigin = { quaternion: new THREE.Quaternion(), time: 0 };
+
+/**
+ * Push the mesh rotation (or `quaternion`) to the shaders (world → field)
+ */
+function updateFieldRotationUniform(quaternion = noiseMesh.quaternion) {
+  fieldInverseQuaternion.copy(quaternion).invert();
+  fieldRotationMatrix4.makeRotationFromQuaternion(fieldInverseQuaternion);
+  material.uniforms.uFieldRotation.value.setFromMatrix4(fieldRotationMatrix4);
+}
+
+/**
+ * Rotate the field by `angle` radians around a world-space axis
+ */
+function rotateField(axis, angle) {
+  const turn = new THREE.Quaternion().setFromAxisAngle(axis, angle);
+  noiseMesh.quaternion.premultiply(turn);
+  updateFieldRotationUniform();
+  rebaseFieldSpin();
+}
+
+function resetFieldRotation() {
+  noiseMesh.quaternion.identity();
+  updateFieldRotationUniform();
+  rebaseFieldSpin();
+}
+
+/**
+ * Restart auto-spin from the current mesh rotation at the current motion
+ * time; call after the rotation, the spin speed or the clock changes
+ */
+function rebaseFieldSpin() {
+  spinOrigin.quaternion.copy(noiseMesh.quaternion);
+  spinOrigin.time = displayFieldTime(performance.now());
+}
+
+/**
+ * Field rotation at motion time `t`, written into `target`
+ */
+function fieldQuaternionAt(t, target) {
+  const turn = new THREE.Quaternion().setFromAxisAngle(
+    worldUp, fieldRotation.spinSpeed * (t - spinOrigin.time)
+  );
+  return target.copy(spinOrigin.quaternion).premultiply(turn);
+}
+
+/**
+ * Set auto-spin for the current motion time; called every frame
+ */
+function updateFieldSpin() {
+  if (fieldRotation.spinSpeed !== 0) {
+    fieldQuaternionAt(motionTime, noiseMesh.quaternion);
+    updateFieldRotationUniform();
+  }
+}
+
+function onFieldPointerDown(event) {
+  if (!fieldRotation.dragEnabled || pathEditMode !== 'off' || hoveredString !== null) return;
+  fieldDrag = { x: event.clientX, y: event.clientY };
+}
+
+function onFieldPointerMove(event) {
+  if (!fieldDrag) return;
+  const dx = event.clientX - fieldDrag.x;
+  const dy = event.clientY - fieldDrag.y;
+  fieldDrag = { x: event.clientX, y: event.clientY };
+
+  // Turn around the camera's up and right axes, like a trackball
+  const cameraUp = camera.up.clone().applyQuaternion(camera.quaternion).normalize();
+  const cameraRight = new THREE.Vector3(1, 0, 0).applyQuaternion(camera.quaternion);
+  rotateField(cameraUp, dx * FIELD_DRAG_SPEED);
+  rotateField(cameraRight, dy * FIELD_DRAG_SPEED);
+}
+
+function onFieldPointerUp() {
+  fieldDrag = null;
+}
+
+renderer.domElement.addEventListener('pointerdown', onFieldPointerDown);
+renderer.domElement.addEventListener('pointermove', onFieldPointerMove);
+window.addEventListener('pointerup', onFieldPointerUp);
+
+// ============================================================================
+// WEBMIDI SETUP
+// ============================================================================
+
+let midiAccess = null;
+let midiOutput = null;
+let midiInput = null;
+let sequencerRunning = false;
+
+// MIDI channel (0-15) per voice
+const midiChannels = {
+  sequencer: 0,  // Noise sequencer notes
+  strings: 0,    // Pitch bend from plucked/vibrating strings
+  pitchBend: 0   // Pitch bend from dragging a string
+};
+
+// localStorage keys for the chosen ports, restored across reloads
+const MIDI_OUTPUT_STORAGE_KEY = 'noiseMidi.outputId';
+const MIDI_INPUT_STORAGE_KEY = 'noiseMidi.inputId';
+
+function loadSavedOutputId() {
+  try {
+    return localStorage.getItem(MIDI_OUTPUT_STORAGE_KEY);
+  } catch (err) {
+    return null;
+  }
+}
+
+function saveOutputId(id) {
+  try {
+    localStorage.setItem(MIDI_OUTPUT_STORAGE_KEY, id);
+  } catch (err) {
+    // Storage unavailable (private mode) - the choice just won't persist
+  }
+}
+
+/**
+ * Pick the output to use when none is selected:
+ * the remembered port, else an IAC Driver bus, else the first output
+ */
+function findDefaultOutput() {
+  if (!midiAccess) return null;
+
+  const savedId = loadSavedOutputId();
+  if (savedId && midiAccess.outputs.has(savedId)) {
+    return midiAccess.outputs.get(savedId);
+  }
+
+  for (const output of midiAccess.outputs.values()) {
+    if (output.name.toLowerCase().includes('iac')) {
+      return output;
+    }
+  }
+
+  const firstOutput = midiAccess.outputs.values().next();
+  return firstOutput.done ? null : firstOutput.value;
+}
+
+/**
+ * Fill the port picker with every available output
+ */
+function populateOutputSelect() {
+  midiOutputSelect.innerHTML = '';
+
+  if (!midiAccess || midiAccess.outputs.size === 0) {
+    const option = document.createElement('option');
+    option.value = '';
+    option.textContent = midiAccess ? 'No MIDI outputs' : 'Start to list MIDI outputs';
+    midiOutputSelect.appendChild(option);
+    midiOutputSelect.disabled = true;
+    return;
+  }
+
+  for (const output of midiAccess.outputs.values()) {
+    const option = document.createElement('option');
+    option.value = output.id;
+    option.textContent = output.name;
+    midiOutputSelect.appendChild(option);
+  }
+
+  midiOutputSelect.disabled = false;
+  midiOutputSelect.value = midiOutput ? midiOutput.id : '';
+}
+
+/**
+ * Switch to another output port, silencing the old one first
+ * @param {MIDIOutput|null} output - New output, or null to disconnect
+ * @param {boolean} remember - Persist the choice for the next reload
+ */
+function setMIDIOutput(output, remember = false) {
+  if (midiOutput && midiOutput !== output && midiOutput.state === 'connected') {
+    silenceOutstandingNotes();
+  }
+
+  midiOutput = output;
+  // A new port hasn't seen the MPE zone or bend range yet
+  sendMicrotonalSetup();
+
+  if (output && remember) {
+    saveOutputId(output.id);
+  }
+
+  populateOutputSelect();
+  console.log('🔌 MIDI output:', output ? output.name : 'none');
+}
+
+/**
+ * Fill the input picker; inputs are optional, so "None" is always offered
+ */
+function populateInputSelect() {
+  midiInputSelect.innerHTML = '';
+
+  const none = document.createElement('option');
+  none.value = '';
+  none.textContent = midiAccess ? 'None' : 'Start to list MIDI inputs';
+  midiInputSelect.appendChild(none);
+
+  if (midiAccess) {
+    for (const input of midiAccess.inputs.values()) {
+      const option = document.createElement('option');
+      option.value = input.id;
+      option.textContent = input.name;
+      midiInputSelect.appendChild(option);
+    }
+  }
+
+  midiInputSelect.disabled = !midiAccess;
+  midiInputSelect.value = midiInput ? midiInput.id : '';
+}
+
+/**
+ * Listen to another input port (clock, transport and note messages)
+ * @param {MIDIInput|null} input - New input, or null for none
+ * @param {boolean} remember - Persist the choice for the next reload
+ */
+function setMIDIInput(input, remember = false) {
+  if (midiInput) {
+    midiInput.removeEventListener('midimessage', onMIDIInputMessage);
+  }
+
+  midiInput = input;
+  // Keys held on the old port will never send their note-offs
+  heldInputNotes.clear();
+
+  if (input) {
+    input.addEventListener('midimessage', onMIDIInputMessage);
+  }
+
+  if (remember) {
+    try {
+      localStorage.setItem(MIDI_INPUT_STORAGE_KEY, input ? input.id : '');
+    } catch (err) {
+      // Storage unavailable - the choice just won't persist
+    }
+  }
+
+  populateInputSelect();
+  updateLiveInputStatus();
+  console.log('🔌 MIDI input:', input ? input.name : 'none');
+}
+
+/**
+ * Inputs are only connected when chosen: find the remembered port
+ */
+function findSavedInput() {
+  let savedId = null;
+  try {
+    savedId = localStorage.getItem(MIDI_INPUT_STORAGE_KEY);
+  } catch (err) {
+    return null;
+  }
+  return savedId && midiAccess.inputs.has(savedId) ? midiAccess.inputs.get(savedId) : null;
+}
+
+/**
+ * Hot-plug handling: refresh the picker, drop a port that went away and
+ * reconnect to the remembered (or first) port when one appears
+ */
+function onMIDIStateChange(event) {
+  const port = event.port;
+
+  if (port.type === 'input') {
+    if (midiInput && port.id === midiInput.id && port.state === 'disconnected') {
+      setMIDIInput(null);
+      console.warn('🔌 MIDI input disconnected:', port.name);
+    } else if (!midiInput && port.state === 'connected') {
+      const saved = findSavedInput();
+      if (saved) {
+        setMIDIInput(saved);
+      }
+    }
+    populateInputSelect();
+    return;
+  }
+
+  if (port.type !== 'output') return;
+
+  if (midiOutput && port.id === midiOutput.id && port.state === 'disconnected') {
+    // The port is gone; note-offs can't reach it, so just forget what was queued
+    scheduledNotes.length = 0;
+    midiOutput = null;
+    console.warn('🔌 MIDI output disconnected:', port.name);
+  }
+
+  if (!midiOutput) {
+    midiOutput = findDefaultOutput();
+    if (midiOutput) {
+      console.log('🔌 MIDI output:', midiOutput.name);
+      sendMicrotonalSetup();
+    }
+  }
+
+  populateOutputSelect();
+}
+
+async function initMIDI() {
+  if (!('requestMIDIAccess' in navigator)) {
+    alert('WebMIDI not supported. Use Chrome/Edge on macOS.');
+    return false;
+  }
+
+  try {
+    if (!midiAccess) {
+      midiAccess = await navigator.requestMIDIAccess();
+      midiAccess.addEventListener('statechange', onMIDIStateChange);
+    }
+
+    if (!midiOutput) {
+      midiOutput = findDefaultOutput();
+    }
+
+    if (!midiInput) {
+      const savedInput = findSavedInput();
+      if (savedInput) {
+        setMIDIInput(savedInput);
+      }
+    }
+
+    populateOutputSelect();
+    populateInputSelect();
+
     if (!midiOutput) {
-      alert('No MIDI output found. Enable IAC Driver in Audio MIDI Setup.');
+      alert('No MIDI output found. Enable IAC Driver in Audio MIDI Setup, or connect a MIDI device.');
       return false;
     }
     
@@ -1353,111 +2643,2242 @@ async function initMIDI() {
   }
 }
 
-function noteOn(note, velocity = 80, time = 0) {
-  if (midiOutput) {
-    midiOutput.send([0x90, note, velocity], time);
-  }
+// Recorder for the Standard MIDI File export
+const midiRecorder = createMidiRecorder();
+
+/**
+ * Send a message to the current output and capture it when recording.
+ * Every outgoing message goes through here.
+ * @param {number[]} data - MIDI message bytes
+ * @param {number} time - DOMHighResTimeStamp to send at (0 = now)
+ */
+function sendMIDI(data, time = 0) {
+  if (!midiOutput) return;
+  midiOutput.send(data, time);
+  midiRecorder.record(data, time || performance.now());
+}
+
+function noteOn(channel, note, velocity = 80, time = 0) {
+  sendMIDI([0x90 | channel, note, velocity], time);
+}
+
+function noteOff(channel, note, time = 0) {
+  sendMIDI([0x80 | channel, note, 0], time);
+}
+
+/**
+ * Send MIDI control change message
+ * @param {number} channel - MIDI channel (0-15)
+ * @param {number} controller - Controller number (0-127)
+ * @param {number} value - Controller value (0-127)
+ */
+function sendControlChange(channel, controller, value, time = 0) {
+  sendMIDI([0xB0 | channel, controller, value], time);
+}
+
+/**
+ * Send All Sound Off (CC120) and All Notes Off (CC123) on all 16 channels
+ */
+function sendAllNotesOff() {
+  for (let channel = 0; channel < 16; channel++) {
+    sendControlChange(channel, 120, 0);
+    sendControlChange(channel, 123, 0);
+  }
+}
+
+/**
+ * Map noise value [0..1] to a MIDI pitch [12..84].
+ * The pitch is fractional when the scale is microtonal (Scala); the output
+ * stage turns the fraction into pitch bend (see MICROTONAL OUTPUT).
+ */
+function noiseToMidiNote(value) {
+  const clamped = Math.max(0, Math.min(1, value));
+  const rawPitch = MIN_NOTE + clamped * (MAX_NOTE - MIN_NOTE);
+  return scaleEnabled ? quantizeToScale(rawPitch) : Math.round(rawPitch);
+}
+
+// ============================================================================
+// MICROTONAL OUTPUT (PER-NOTE PITCH BEND / MPE)
+// ============================================================================
+
+// Fractional pitches are sent as the nearest MIDI note plus a pitch bend.
+// Bend is per channel, so each note gets its own channel from an MPE lower
+// zone: channel 1 is the manager, channels 2..(1 + memberChannels) carry
+// the notes. When off, pitches are rounded to the nearest semitone and sent
+// on the voice's own channel.
+const microtonal = {
+  enabled: false,
+  bendRange: 48,       // ± semitones; must match the receiver (MPE default 48)
+  memberChannels: 15   // Number of note channels, starting at channel 2
+};
+
+const MPE_MANAGER_CHANNEL = 0;
+
+// Time (ms) until which each member channel holds a note
+const memberChannelBusyUntil = new Array(16).fill(0);
+
+// Time (ms) a member channel is left alone after its note-off, so the new
+// note's bend doesn't retune the previous note's release tail
+const MEMBER_RELEASE_MS = 250;
+let nextMemberChannel = 0;
+
+/**
+ * Send an RPN (registered parameter) as CC 101/100/6/38, then the null RPN
+ */
+function sendRPN(channel, parameter, msb, lsb = 0) {
+  sendControlChange(channel, 101, (parameter >> 7) & 0x7F);
+  sendControlChange(channel, 100, parameter & 0x7F);
+  sendControlChange(channel, 6, msb);
+  sendControlChange(channel, 38, lsb);
+  sendControlChange(channel, 101, 127);
+  sendControlChange(channel, 100, 127);
+}
+
+/**
+ * Configure the receiver: MPE Configuration Message (RPN 6) on the manager
+ * channel, then the pitch bend range (RPN 0) and a centred bend on every
+ * member channel
+ */
+function sendMicrotonalSetup() {
+  if (!midiOutput || !microtonal.enabled) return;
+
+  sendRPN(MPE_MANAGER_CHANNEL, 6, microtonal.memberChannels);
+  for (let i = 0; i < microtonal.memberChannels; i++) {
+    const channel = MPE_MANAGER_CHANNEL + 1 + i;
+    sendRPN(channel, 0, microtonal.bendRange);
+    sendPitchBend(channel, 8192);
+  }
+  console.log(`🎚️ MPE zone: ${microtonal.memberChannels} channels, ±${microtonal.bendRange} semitones`);
+}
+
+/**
+ * Close the MPE zone: an MPE Configuration Message with no member
+ * channels, so the receiver drops back to ordinary per-channel playback
+ */
+function sendMicrotonalTeardown() {
+  if (!midiOutput) return;
+
+  sendRPN(MPE_MANAGER_CHANNEL, 6, 0);
+  console.log('🎚️ MPE zone closed');
+}
+
+/**
+ * Pick the member channel for a note starting at `time`: the next free
+ * channel in rotation, or the one that frees up soonest when all are busy
+ */
+function allocateMemberChannel(time) {
+  const count = microtonal.memberChannels;
+  let choice = -1;
+
+  for (let i = 0; i < count; i++) {
+    const index = (nextMemberChannel + i) % count;
+    if (memberChannelBusyUntil[index] + MEMBER_RELEASE_MS <= time) {
+      choice = index;
+      break;
+    }
+  }
+
+  if (choice === -1) {
+    choice = 0;
+    for (let i = 1; i < count; i++) {
+      if (memberChannelBusyUntil[i] < memberChannelBusyUntil[choice]) {
+        choice = i;
+      }
+    }
+  }
+
+  nextMemberChannel = (choice + 1) % count;
+  return { index: choice, channel: MPE_MANAGER_CHANNEL + 1 + choice };
+}
+
+/**
+ * Schedule one note at a (possibly fractional) pitch and remember it for
+ * silencing. With `tOff` null the note is held until endScheduledNote().
+ * Returns the scheduledNotes entry.
+ */
+function schedulePitchedNote(channel, pitch, velocity, tOn, tOff) {
+  let note = Math.round(pitch);
+  let memberIndex = null;
+
+  if (microtonal.enabled) {
+    const member = allocateMemberChannel(tOn);
+    channel = member.channel;
+    memberIndex = member.index;
+    memberChannelBusyUntil[memberIndex] = Infinity;
+
+    // The offset from the nearest note is at most ±0.5 semitone
+    sendPitchBend(channel, 8192 + (pitch - note) / microtonal.bendRange * 8192, tOn);
+  }
+
+  note = Math.max(0, Math.min(127, note));
+  noteOn(channel, note, velocity, tOn);
+
+  const entry = { channel, note, onTime: tOn, offTime: Infinity, memberIndex };
+  scheduledNotes.push(entry);
+  if (tOff !== null) {
+    endScheduledNote(entry, tOff);
+  }
+  return entry;
+}
+
+/**
+ * Schedule the note-off for a note from schedulePitchedNote()
+ */
+function endScheduledNote(entry, time) {
+  noteOff(entry.channel, entry.note, time);
+  entry.offTime = time;
+  if (entry.memberIndex !== null) {
+    memberChannelBusyUntil[entry.memberIndex] = time;
+  }
+}
+
+/**
+ * Centre the bend on every member channel (e.g. when leaving MPE mode)
+ */
+function resetMemberChannelBends() {
+  for (let i = 0; i < microtonal.memberChannels; i++) {
+    sendPitchBend(MPE_MANAGER_CHANNEL + 1 + i, 8192);
+  }
+  memberChannelBusyUntil.fill(0);
+}
+
+// ============================================================================
+// NOISE EXPRESSION (VELOCITY / GATE / RESTS)
+// ============================================================================
+
+// Where an expression mapping reads its control value [0..1] from:
+// 'fixed'    - no noise, use the constant (velocity 80, gate 0.8, never rest)
+// 'offset'   - a second sample of the field at a fixed spatial offset
+// 'gradient' - how steep the field is around the sensor
+// 'time'     - the same sensor, read at a different time offset
+const FIXED_VELOCITY = 80;
+const FIXED_GATE = 0.8;
+
+// Each mapping has its own offset so velocity, gate and rests
+// don't all follow the same contour
+const expressionMappings = {
+  velocity: {
+    source: 'fixed',
+    min: 40,
+    max: 120,
+    offset: new THREE.Vector3(0.71, 0.0, 0.0),
+    timeOffset: 1.7
+  },
+  gate: {
+    source: 'fixed',
+    min: 0.2,   // Fraction of a step
+    max: 0.95,
+    offset: new THREE.Vector3(0.0, 0.71, 0.0),
+    timeOffset: 3.1
+  },
+  rest: {
+    source: 'fixed',
+    threshold: 0.2, // Step rests when its control value is below this
+    offset: new THREE.Vector3(0.0, 0.0, 0.71),
+    timeOffset: 5.3
+  }
+};
+
+// Finite-difference step for the gradient (world units), and the gradient
+// magnitude per unit of spatial scale that maps to a control value of 1
+const GRADIENT_EPSILON = 0.1;
+const GRADIENT_NORMALIZER = 1.25;
+
+/**
+ * Sample everything one step needs in a single sampler call: the sensor
+ * itself plus whatever probes the expression mappings ask for.
+ * Returns the pitch value and the resulting velocity, gate and rest flag.
+ * `extraProbes` (other tracks' sensors due at the same time) ride along in
+ * the same call; their values come back as `extraValues`.
+ */
+function sampleStepExpression(step, extraProbes = []) {
+  const sensor = samplePoints[step];
+  const probes = [sensor];
+  const slots = {};
+
+  const mappings = Object.entries(expressionMappings);
+  const needsGradient = mappings.some(([, mapping]) => mapping.source === 'gradient');
+
+  if (needsGradient) {
+    slots.gradient = probes.length;
+    probes.push(
+      sensor.clone().add(new THREE.Vector3(GRADIENT_EPSILON, 0, 0)),
+      sensor.clone().add(new THREE.Vector3(0, GRADIENT_EPSILON, 0)),
+      sensor.clone().add(new THREE.Vector3(0, 0, GRADIENT_EPSILON))
+    );
+  }
+
+  // Extra noise layers for chord mode
+  const layerProbes = chordSettings.enabled ? chordLayerProbes(sensor) : [];
+  slots.layers = probes.length;
+  probes.push(...layerProbes);
+
+  mappings.forEach(([name, mapping]) => {
+    if (mapping.source === 'offset') {
+      slots[name] = probes.length;
+      probes.push(sensor.clone().add(mapping.offset));
+    } else if (mapping.source === 'time') {
+      slots[name] = probes.length;
+      probes.push({ x: sensor.x, y: sensor.y, z: sensor.z, timeOffset: mapping.timeOffset });
+    }
+  });
+
+  slots.extra = probes.length;
+  probes.push(...extraProbes);
+
+  const values = noiseSampler.sample(probes);
+  const value = values[0];
+  const extraValues = values.slice(slots.extra);
+  const layerValues = values.slice(slots.layers, slots.layers + layerProbes.length);
+
+  let gradientValue = 0;
+  if (needsGradient) {
+    const dx = values[slots.gradient] - value;
+    const dy = values[slots.gradient + 1] - value;
+    const dz = values[slots.gradient + 2] - value;
+    const magnitude = Math.sqrt(dx * dx + dy * dy + dz * dz) / GRADIENT_EPSILON;
+    const spatialScale = Math.max(material.uniforms.uSpatialScale.value, 1e-6);
+    gradientValue = Math.min(1, magnitude / (spatialScale * GRADIENT_NORMALIZER));
+  }
+
+  // Control value [0..1] for a mapping, or null when it is fixed
+  const control = (name) => {
+    const source = expressionMappings[name].source;
+    if (source === 'gradient') return gradientValue;
+    if (source === 'offset' || source === 'time') return values[slots[name]];
+    return null;
+  };
+
+  const velocityControl = control('velocity');
+  const { min: velMin, max: velMax } = expressionMappings.velocity;
+  const velocity = velocityControl === null
+    ? FIXED_VELOCITY
+    : Math.max(1, Math.min(127, Math.round(velMin + velocityControl * (velMax - velMin))));
+
+  const gateControl = control('gate');
+  const { min: gateMin, max: gateMax } = expressionMappings.gate;
+  const gate = gateControl === null
+    ? FIXED_GATE
+    : gateMin + gateControl * (gateMax - gateMin);
+
+  const restControl = control('rest');
+  const rest = restControl !== null && restControl < expressionMappings.rest.threshold;
+
+  return { value, layerValues, velocity, gate, rest, extraValues };
+}
+
+// ============================================================================
+// POLYPHONIC CHORDS
+// ============================================================================
+
+// Chord mode: each step reads extra noise layers alongside the sensor and
+// plays one note per layer
+const chordSettings = {
+  enabled: false,
+  voices: 3,              // Total notes per chord (sensor + layers)
+  layerMode: 'scale',     // 'scale' = same point at larger spatial scales, 'offset' = shifted points
+  spread: 1.6,            // Spatial scale ratio between consecutive layers
+  useScaleDegrees: true,  // Stack voices on degrees of generateScaleNotes()
+  voiceLeading: true      // Move each voice by octaves to stay near the previous chord
+};
+
+// Spatial offsets for 'offset' layer mode (one per extra voice)
+const CHORD_LAYER_OFFSETS = [
+  new THREE.Vector3(0.43, -0.29, 0.17),
+  new THREE.Vector3(-0.37, 0.41, -0.23),
+  new THREE.Vector3(0.19, 0.33, -0.47),
+  new THREE.Vector3(-0.51, -0.13, 0.31),
+  new THREE.Vector3(0.27, -0.49, -0.39)
+];
+
+// Previous chord, for voice leading
+let lastChord = null;
+
+/**
+ * Probe positions for the extra chord layers of one sensor.
+ * Scaling the position by k reads the field as if uSpatialScale were
+ * k times larger, without touching the shared uniforms.
+ */
+function chordLayerProbes(sensor) {
+  const probes = [];
+  for (let layer = 1; layer < chordSettings.voices; layer++) {
+    if (chordSettings.layerMode === 'scale') {
+      probes.push(sensor.clone().multiplyScalar(Math.pow(chordSettings.spread, layer)));
+    } else {
+      const offset = CHORD_LAYER_OFFSETS[(layer - 1) % CHORD_LAYER_OFFSETS.length];
+      probes.push(sensor.clone().add(offset));
+    }
+  }
+  return probes;
+}
+
+/**
+ * Build a chord from the sensor value and its layer values.
+ * With scale degrees, the sensor picks the root and each layer stacks the
+ * next voice 1-4 scale degrees above the previous one (seconds to fifths in
+ * a heptatonic scale). Otherwise every layer maps straight to a note.
+ */
+function buildChord(value, layerValues) {
+  let notes;
+
+  if (chordSettings.useScaleDegrees) {
+    const scaleNotes = generateScaleNotes();
+    const root = quantizeToNotes(noiseToMidiNote(value), scaleNotes);
+    let index = scaleNotes.indexOf(root);
+    const degreesPerOctave = Math.max(1, scaleNotes.filter(note => note < scaleNotes[0] + 12).length);
+
+    notes = [root];
+    layerValues.forEach(layerValue => {
+      index += 1 + Math.min(3, Math.floor(layerValue * 4));
+      // Wrap back down an octave's worth of degrees when running off the top
+      while (index >= scaleNotes.length && index - degreesPerOctave >= 0) {
+        index -= degreesPerOctave;
+      }
+      notes.push(scaleNotes[Math.min(index, scaleNotes.length - 1)]);
+    });
+  } else {
+    notes = [value, ...layerValues].map(layerValue => noiseToMidiNote(layerValue));
+  }
+
+  if (chordSettings.voiceLeading && lastChord) {
+    notes = voiceLead(notes, lastChord, tuningPeriod());
+  }
+
+  notes = [...new Set(notes)].sort((a, b) => a - b);
+  lastChord = notes;
+  return notes;
+}
+
+/**
+ * Nearest note in a sorted note list
+ */
+function quantizeToNotes(midiNote, notes) {
+  let closest = notes[0];
+  for (const note of notes) {
+    if (Math.abs(midiNote - note) < Math.abs(midiNote - closest)) {
+      closest = note;
+    }
+  }
+  return closest;
+}
+
+/**
+ * Interval (semitones) after which the current note set repeats: the
+ * Scala period, or the formal octave of its keyboard mapping, while a
+ * Scala tuning supplies the notes; 12 otherwise
+ */
+function tuningPeriod() {
+  if (liveScale || !customScalaScale || !customScala || !customScala.cents) return 12;
+  const cents = customScala.cents;
+  const period = cents[cents.length - 1];
+  if (customKeyboardMap && customKeyboardMap.size > 0) {
+    const degree = customKeyboardMap.octaveDegree;
+    const periods = Math.floor(degree / cents.length);
+    const index = degree - periods * cents.length;
+    const formalOctave = periods * period + (index === 0 ? 0 : cents[index - 1]);
+    if (formalOctave > 0) return formalOctave / 100;
+  }
+  return period / 100;
+}
+
+/**
+ * Shift each voice by whole periods of the tuning (octaves in 12-TET) so
+ * it lands as close as possible to the matching voice of the previous
+ * chord, keeping pitch classes intact.
+ * Voices never share a note: a voice whose nearest placement is already
+ * taken moves to its next nearest one, so the chord keeps all its voices
+ * and doesn't collapse over successive steps.
+ */
+function voiceLead(notes, previous, period = 12) {
+  const sorted = [...notes].sort((a, b) => a - b);
+  const taken = new Set();
+  return sorted.map((note, i) => {
+    const target = previous[Math.min(i, previous.length - 1)];
+    // Placements in range around the nearest one, nearest the target first.
+    // Rounding like buildScalaPitches() keeps them equal to scale pitches.
+    const nearest = Math.round((target - note) / period);
+    const placements = [];
+    for (let k = nearest - sorted.length - 1; k <= nearest + sorted.length + 1; k++) {
+      const moved = Math.round((note + k * period) * 10000) / 10000;
+      if (moved >= MIN_NOTE && moved <= MAX_NOTE) {
+        placements.push(moved);
+      }
+    }
+    placements.sort((a, b) => Math.abs(a - target) - Math.abs(b - target));
+    const moved = placements.find(candidate => !taken.has(candidate)) ?? placements[0] ?? note;
+    taken.add(moved);
+    return moved;
+  });
+}
+
+// ============================================================================
+// STEP OVERLAY (MUTE / LOCK / ACCENT / OCTAVE / TIE)
+// ============================================================================
+
+// Per-step edits applied on top of the noise output by scheduleNoiseStep().
+// One entry per main sequencer step. The list only grows: when the step
+// count drops, the steps cut off keep their edits, and only the first
+// MIDI_STEPS entries are read.
+function createStepState() {
+  return {
+    mute: false,
+    lock: false,
+    lockedPitches: null,  // Pitches held by "lock" (before the octave shift)
+    accent: false,
+    octave: 0,            // Whole octaves, -2..+2
+    tie: false,           // Hold into the next step; equal pitches are not retriggered
+    probability: 1,       // Chance the step sounds (see RHYTHM GATING)
+    ratchet: 1            // Repeats inside the step's duration, 1-4
+  };
+}
+
+// Most repeats a ratcheted step can play
+const MAX_RATCHET = 4;
+
+// Octave shift range of a step
+const MIN_STEP_OCTAVE = -2;
+const MAX_STEP_OCTAVE = 2;
+
+/**
+ * Step state from a saved patch entry. Every field is checked, so a bad
+ * patch can't give NaN notes or shift a note out of the MIDI range.
+ */
+function stepStateFromPatch(saved) {
+  const state = createStepState();
+  if (!saved || typeof saved !== 'object') return state;
+
+  ['mute', 'lock', 'accent', 'tie'].forEach(flag => {
+    state[flag] = saved[flag] === true;
+  });
+  // Locked pitches are fractional under a Scala tuning (see buildScalaPitches)
+  if (Array.isArray(saved.lockedPitches) && saved.lockedPitches.length > 0 &&
+      saved.lockedPitches.every(pitch => Number.isFinite(pitch) && pitch >= 0 && pitch <= 127)) {
+    state.lockedPitches = saved.lockedPitches.slice();
+  }
+  const octave = Math.round(Number(saved.octave));
+  state.octave = Number.isFinite(octave)
+    ? Math.max(MIN_STEP_OCTAVE, Math.min(MAX_STEP_OCTAVE, octave))
+    : 0;
+  // Rhythm gating (see RHYTHM GATING)
+  const probability = Number(saved.probability);
+  state.probability = Number.isFinite(probability) ? Math.max(0, Math.min(1, probability)) : 1;
+  const ratchet = Math.round(Number(saved.ratchet));
+  state.ratchet = Number.isFinite(ratchet) ? Math.max(1, Math.min(MAX_RATCHET, ratchet)) : 1;
+  return state;
+}
+
+const stepOverlay = {
+  accentVelocity: 120,  // Accented steps play at least this loud
+  selectedStep: 0       // Step shown in the step editor
+};
+
+let stepStates = [];
+
+// Pitches each step played last, so "lock" can hold the current note
+let lastStepPitches = [];
+
+// Notes still sounding from a tied step: { pitches, entries }
+let tiedNotes = null;
+
+// Pick radius around a beacon top, in pixels
+const BEACON_PICK_RADIUS = 14;
+
+function resizeStepStates() {
+  while (stepStates.length < MIDI_STEPS) {
+    stepStates.push(createStepState());
+  }
+  lastStepPitches.length = MIDI_STEPS;
+  stepOverlay.selectedStep = Math.min(stepOverlay.selectedStep, MIDI_STEPS - 1);
+}
+
+resizeStepStates();
+
+/**
+ * Toggle one flag of a step. Locking captures the step's current note;
+ * without one yet, the next note it plays is captured.
+ */
+function toggleStepFlag(step, flag) {
+  const state = stepStates[step];
+  state[flag] = !state[flag];
+  if (flag === 'lock') {
+    state.lockedPitches = state.lock && lastStepPitches[step] ? lastStepPitches[step] : null;
+  }
+  refreshStepGrid();
+}
+
+/**
+ * Apply a step's overlay to the pitches and velocity from the noise
+ */
+function applyStepOverlay(step, pitches, velocity) {
+  const state = stepStates[step];
+  lastStepPitches[step] = pitches;
+
+  if (state.lock) {
+    if (!state.lockedPitches) {
+      state.lockedPitches = pitches;
+    }
+    pitches = state.lockedPitches;
+  }
+
+  pitches = pitches.map(pitch => {
+    let shifted = pitch + state.octave * 12;
+    while (shifted > 127) shifted -= 12;
+    while (shifted < 0) shifted += 12;
+    return shifted;
+  });
+
+  return {
+    pitches,
+    velocity: state.accent ? Math.max(velocity, stepOverlay.accentVelocity) : velocity
+  };
+}
+
+/**
+ * End the notes held over from a tied step
+ */
+function releaseTiedNotes(time) {
+  if (!tiedNotes) return;
+  tiedNotes.entries.forEach(entry => endScheduledNote(entry, time));
+  tiedNotes = null;
+}
+
+function samePitches(a, b) {
+  return a.length === b.length && a.every((pitch, i) => pitch === b[i]);
+}
+
+/**
+ * Dim muted beacons, whiten locked tops and enlarge accented ones on top of
+ * the sequence glow
+ */
+function updateStepOverlayVisuals() {
+  for (let i = 0; i < MIDI_STEPS; i++) {
+    const state = stepStates[i];
+    const pole = beaconPoles[i * 2];
+    const top = beaconPoles[i * 2 + 1];
+    if (!state || !pole || !top) continue;
+
+    if (state.mute || !stepInRhythm(i)) {
+      pole.material.color.setHex(0x444444);
+      pole.material.opacity = 0.3;
+      top.material.color.setHex(0x555555);
+      top.material.opacity = 0.4;
+    } else if (state.lock) {
+      top.material.color.lerp(new THREE.Color(0xffffff), 0.6);
+    }
+    // The glow only sizes tops while the sequencer runs
+    const glowScale = sequencerRunning ? top.scale.x : 1.0;
+    top.scale.setScalar(state.accent ? glowScale * 1.4 : glowScale);
+  }
+}
+
+/**
+ * Nearest visible beacon top within BEACON_PICK_RADIUS of the pointer
+ */
+function pickBeacon(event) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  let closest = -1;
+  let closestDistance = BEACON_PICK_RADIUS;
+
+  for (let i = 0; i < MIDI_STEPS; i++) {
+    const top = beaconPoles[i * 2 + 1];
+    if (!top) continue;
+
+    // Skip beacons on the far side of the sphere
+    const toCamera = camera.position.clone().sub(top.position);
+    if (top.position.clone().normalize().dot(toCamera) < 0) continue;
+
+    const projected = top.position.clone().project(camera);
+    const x = (projected.x + 1) / 2 * rect.width + rect.left;
+    const y = (1 - projected.y) / 2 * rect.height + rect.top;
+    const distance = Math.hypot(event.clientX - x, event.clientY - y);
+    if (distance < closestDistance) {
+      closestDistance = distance;
+      closest = i;
+    }
+  }
+
+  return closest;
+}
+
+// Beacon clicks: a press and release without dragging
+let beaconPress = null;
+
+function onBeaconPointerDown(event) {
+  // Path editing and string plucking take the pointer first
+  const free = pathEditMode === 'off' && hoveredString === null;
+  beaconPress = free ? { x: event.clientX, y: event.clientY } : null;
+}
+
+/**
+ * Click toggles mute, Shift+click lock, Alt+click accent; every click
+ * selects the step in the step editor
+ */
+function onBeaconPointerUp(event) {
+  if (!beaconPress) return;
+  const moved = Math.hypot(event.clientX - beaconPress.x, event.clientY - beaconPress.y);
+  beaconPress = null;
+  if (moved > 4) return;
+
+  const step = pickBeacon(event);
+  if (step === -1) return;
+
+  stepOverlay.selectedStep = step;
+  toggleStepFlag(step, event.shiftKey ? 'lock' : event.altKey ? 'accent' : 'mute');
+  console.log(`🎯 Step ${step + 1}:`, stepStates[step]);
+}
+
+renderer.domElement.addEventListener('pointerdown', onBeaconPointerDown);
+renderer.domElement.addEventListener('pointerup', onBeaconPointerUp);
+
+// ============================================================================
+// NOISE SEED & MUSICAL CLOCK
+// ============================================================================
+
+// Seed 0 is the original field; any other integer shifts the sampled point
+// to a different, repeatable region of the simplex lattice (which repeats
+// every 289 units, so offsets stay well inside one period)
+let noiseSeed = 0;
+const SEED_OFFSET_RANGE = 128;
+
+/**
+ * Small deterministic PRNG (mulberry32), identical on every run
+ */
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function setNoiseSeed(seed) {
+  noiseSeed = Math.max(0, Math.floor(seed) || 0);
+  const offset = material.uniforms.uSeedOffset.value;
+  if (noiseSeed === 0) {
+    offset.set(0, 0, 0, 0);
+  } else {
+    const random = mulberry32(noiseSeed);
+    offset.set(
+      random() * SEED_OFFSET_RANGE,
+      random() * SEED_OFFSET_RANGE,
+      random() * SEED_OFFSET_RANGE,
+      random() * SEED_OFFSET_RANGE
+    );
+  }
+  console.log('🌱 Noise seed:', noiseSeed);
+}
+
+// Where uTime comes from:
+// 'wall'      - seconds of wall-clock time (the field drifts on its own)
+// 'transport' - beats of transport position, so the field only moves
+//               while the sequencer plays and every run repeats exactly
+const musicalClock = {
+  mode: 'wall',
+  startBeat: 0    // Transport position (in quarter-note beats) at start
+};
+
+// uTime advanced per beat in transport mode; at 120 BPM the field moves
+// at the same speed as in wall-clock mode
+const TRANSPORT_SECONDS_PER_BEAT = 0.5;
+
+// Transport position (quarter-note beats) of the next pulse, and the most
+// recently scheduled pulse, used to interpolate the display between pulses
+let transportBeat = 0;
+let transportAnchor = { time: 0, beat: 0 };
+
+/**
+ * Length of one main step in quarter-note beats
+ */
+function stepLengthInBeats() {
+  return (4 / timeSigDenominator) * timeSigNumerator / MIDI_STEPS;
+}
+
+function resetTransport(startTime, positionBeats = 0) {
+  transportBeat = musicalClock.startBeat + positionBeats;
+  transportAnchor = { time: startTime, beat: transportBeat };
+  // Spin on from wherever the field is now, so a run starting from the
+  // same rotation and position repeats exactly
+  rebaseFieldSpin();
+}
+
+/**
+ * uTime for the display at clock time `now` (ms)
+ */
+function displayFieldTime(now) {
+  if (musicalClock.mode === 'wall') {
+    return now / 1000;
+  }
+  // Hold the field still while stopped; otherwise follow the transport.
+  // The anchor may lie slightly in the future (lookahead), giving a
+  // negative offset, which is still on the same tempo line.
+  const elapsedBeats = sequencerRunning && isFinite(STEP_MS)
+    ? (now - transportAnchor.time) * BPM / 60000
+    : 0;
+  return (transportAnchor.beat + elapsedBeats) * TRANSPORT_SECONDS_PER_BEAT;
+}
+
+/**
+ * Run `fn` with the field as it is at `time`: uTime, the auto-spin
+ * rotation and the moving sensors are all set for that time, so scheduled
+ * steps sample the field at their own time rather than at the last
+ * animation frame
+ */
+function withFieldTime(time, fn) {
+  const uniform = material.uniforms.uTime;
+  const savedTime = uniform.value;
+  const savedRotation = fieldRotation.spinSpeed !== 0
+    ? material.uniforms.uFieldRotation.value.clone()
+    : null;
+  const savedSensors = isSensorMoving() ? samplePoints.map(p => p.clone()) : null;
+
+  uniform.value = time;
+  if (savedRotation) {
+    updateFieldRotationUniform(fieldQuaternionAt(time, new THREE.Quaternion()));
+  }
+  if (savedSensors) {
+    for (let i = 0; i < MIDI_STEPS; i++) {
+      sensorPositionAt(i, time, samplePoints[i]);
+    }
+  }
+
+  try {
+    return fn();
+  } finally {
+    uniform.value = savedTime;
+    if (savedRotation) {
+      material.uniforms.uFieldRotation.value.copy(savedRotation);
+    }
+    if (savedSensors) {
+      savedSensors.forEach((p, i) => samplePoints[i].copy(p));
+    }
+  }
+}
+
+// ============================================================================
+// RHYTHM GATING (EUCLIDEAN / PROBABILITY / RATCHETS)
+// ============================================================================
+
+// Decides which main steps sound, before the step overlay's mute.
+// The Euclidean pattern spreads `hits` onsets as evenly as possible over
+// MIDI_STEPS, so it follows the steps slider and any time signature.
+const rhythm = {
+  euclidean: false,
+  hits: 5,
+  rotation: 0   // Steps the pattern is shifted later by
+};
+
+/**
+ * Whether step `step` of `steps` is an onset of the Euclidean rhythm
+ * (k hits over n steps, rotated). Step i of the unrotated pattern is a hit
+ * when i * k mod n < k, which places exactly k evenly spread hits from
+ * step 0.
+ */
+function isEuclideanHit(step, hits, steps, rotation = 0) {
+  if (hits <= 0) return false;
+  if (hits >= steps) return true;
+  const index = ((step - rotation) % steps + steps) % steps;
+  return (index * hits) % steps < hits;
+}
+
+/**
+ * Whether the pattern lets the step sound (ignoring probability)
+ */
+function stepInRhythm(step) {
+  return !rhythm.euclidean || isEuclideanHit(step, rhythm.hits, MIDI_STEPS, rhythm.rotation);
+}
+
+/**
+ * Probability roll for the main step `absoluteStep` steps from the top of
+ * the song. It depends only on the noise seed and that index, so takes
+ * stay reproducible (see NOISE SEED & MUSICAL CLOCK) and a take started
+ * from a song position rolls the same as one played through from the top.
+ */
+function rhythmRoll(absoluteStep) {
+  return mulberry32(noiseSeed ^ Math.imul(absoluteStep + 1, 0x9E3779B1))();
+}
+
+/**
+ * Pattern and probability roll for one scheduled step
+ */
+function rhythmAllowsStep(step, absoluteStep) {
+  if (!stepInRhythm(step)) return false;
+  const probability = stepStates[step].probability;
+  return probability >= 1 || rhythmRoll(absoluteStep) < probability;
+}
+
+// ============================================================================
+// SEQUENCER
+// ============================================================================
+
+// Steps queued by the scheduler but not yet reached by the clock.
+// updateSequenceGlow() consumes these so beacons and plucks line up with
+// the MIDI timestamps rather than with a separate animation timer.
+const stepQueue = [];
+
+// Queued steps this far behind the clock are dropped by the scheduler.
+// The animation loop normally drains the queues every frame, but it stops
+// in a hidden tab, where they would otherwise grow without limit and then
+// replay every pluck at once when the tab comes back.
+const STALE_STEP_MS = 100;
+
+/**
+ * Drop the steps at the head of a time-ordered queue that the display has
+ * fallen too far behind to show
+ */
+function dropStaleSteps(queue, now = performance.now()) {
+  let stale = 0;
+  while (stale < queue.length && queue[stale].time < now - STALE_STEP_MS) {
+    stale++;
+  }
+  if (stale > 0) {
+    queue.splice(0, stale);
+  }
+}
+
+// Notes handed to midiOutput.send() whose note-off has not happened yet
+const scheduledNotes = [];
+
+// The scheduler runs on a pulse grid finer than one main step so that
+// sensor tracks can use clock divisions such as 3:2 or 4:1. 12 pulses per
+// step covers halves, thirds and quarters.
+const PULSES_PER_STEP = 12;
+
+// Pulses since the sequencer started, and the main ring's next step
+let sequencerPulse = 0;
+let nextMainStep = 0;
+
+/**
+ * Forget notes whose note-off time has passed
+ */
+function pruneScheduledNotes() {
+  const now = performance.now();
+  for (let i = scheduledNotes.length - 1; i >= 0; i--) {
+    if (scheduledNotes[i].offTime <= now) {
+      scheduledNotes.splice(i, 1);
+    }
+  }
+}
+
+/**
+ * Schedule everything that falls on one pulse: the main ring on step
+ * boundaries, plus every sensor track whose clock division lands here.
+ * All sensors due on the pulse are read in a single sampler call.
+ */
+function schedulePulse(pulseInStep, time, pulseMs) {
+  const pulse = sequencerPulse++;
+  const mainDue = pulseInStep === 0;
+
+  // Advance the transport whether or not anything plays on this pulse
+  const pulseBeat = transportBeat;
+  transportBeat += stepLengthInBeats() / PULSES_PER_STEP;
+  transportAnchor = { time, beat: pulseBeat };
+
+  const fieldTime = musicalClock.mode === 'transport'
+    ? pulseBeat * TRANSPORT_SECONDS_PER_BEAT
+    : time / 1000;
+  withFieldTime(fieldTime, () => schedulePulseSensors(pulse, mainDue, time, pulseMs));
+}
+
+function schedulePulseSensors(pulse, mainDue, time, pulseMs) {
+  const dueTracks = sensorTracks.filter(track =>
+    track.enabled && pulse % track.pulsesPerStep === 0
+  );
+  if (!mainDue && dueTracks.length === 0) return;
+
+  const trackSteps = dueTracks.map(track => {
+    const step = track.nextStep % track.steps;
+    track.nextStep = (step + 1) % track.steps;
+    return step;
+  });
+  const trackProbes = dueTracks.map((track, i) => track.points[trackSteps[i]]);
+
+  let trackValues;
+  if (mainDue) {
+    if (nextMainStep >= MIDI_STEPS) {
+      nextMainStep = 0;
+    }
+    // Main steps counted from the top of the song, for the probability roll
+    const absoluteStep = Math.ceil(pulse / PULSES_PER_STEP);
+    trackValues = scheduleNoiseStep(nextMainStep, time, pulseMs * PULSES_PER_STEP, trackProbes, absoluteStep);
+    nextMainStep = (nextMainStep + 1) % MIDI_STEPS;
+  } else {
+    trackValues = noiseSampler.sample(trackProbes);
+  }
+
+  dueTracks.forEach((track, i) => {
+    scheduleTrackStep(track, trackSteps[i], trackValues[i], time, pulseMs * track.pulsesPerStep);
+  });
+}
+
+/**
+ * Schedule a single step at an exact clock time.
+ * Called slightly ahead of `time`, so the noise field, BPM, scale and
+ * spatial scale are read fresh for every step. Returns the sampled values
+ * of `extraProbes`, which share the step's sampler call. `absoluteStep`
+ * counts main steps from the top of the song.
+ */
+function scheduleNoiseStep(step, time, stepMs, extraProbes = [], absoluteStep = step) {
+  const { value, layerValues, velocity, gate, rest, extraValues } = sampleStepExpression(step, extraProbes);
+  const state = stepStates[step];
+  const silent = rest || state.mute || !rhythmAllowsStep(step, absoluteStep);
+
+  // Ratchets split the step into equal repeats, each with the step's gate.
+  // The display gets one entry per repeat, so beacons and strings show them
+  const repeats = silent ? 1 : state.ratchet;
+  const repeatMs = stepMs / repeats;
+  dropStaleSteps(stepQueue);
+  for (let r = 0; r < repeats; r++) {
+    stepQueue.push({ step, time: time + r * repeatMs, velocity, rest: silent, retrigger: r > 0 });
+  }
+
+  pruneScheduledNotes();
+
+  if (!midiOutput || silent) {
+    releaseTiedNotes(time);
+    return extraValues;
+  }
+
+  const overlay = applyStepOverlay(step, chordSettings.enabled
+    ? buildChord(value, layerValues)
+    : [noiseToMidiNote(value)], velocity);
+
+  for (let r = 0; r < repeats; r++) {
+    const tOn = time + r * repeatMs;
+
+    // A tie into the same pitches carries the held notes on as the first
+    // repeat; anything else ends them where this step starts
+    let entries;
+    if (r === 0 && tiedNotes && samePitches(tiedNotes.pitches, overlay.pitches)) {
+      entries = tiedNotes.entries;
+      tiedNotes = null;
+    } else {
+      releaseTiedNotes(tOn);
+      entries = overlay.pitches.map(pitch =>
+        schedulePitchedNote(midiChannels.sequencer, pitch, overlay.velocity, tOn, null));
+    }
+
+    // Only the last repeat can tie into the next step
+    if (r === repeats - 1 && state.tie) {
+      tiedNotes = { pitches: overlay.pitches, entries };
+    } else {
+      entries.forEach(entry => endScheduledNote(entry, tOn + repeatMs * gate));
+    }
+  }
+
+  // Note: String plucking is handled by updateSequenceGlow()
+  // to keep it perfectly synchronized with the beacon animation
+
+  return extraValues;
+}
+
+/**
+ * Silence everything the sequencer has sent: drop pending messages where
+ * the browser supports MIDIOutput.clear(), send an explicit note-off for
+ * every outstanding note, then All Sound Off (CC120) and All Notes Off
+ * (CC123) on every channel for receivers that missed an individual note-off.
+ * See releaseScheduledNotes() for note-ons that could not be cleared.
+ */
+function silenceOutstandingNotes() {
+  if (midiOutput) {
+    // Clearing would also drop queued clock ticks, so a running master
+    // relies on the note-offs below instead
+    const clockRunning = clockSync.mode === 'master' && sequencerRunning;
+    if (typeof midiOutput.clear === 'function' && !clockRunning) {
+      midiOutput.clear();
+      midiRecorder.discardAfter(performance.now());
+    }
+    releaseScheduledNotes();
+    sendAllNotesOff();
+  }
+  scheduledNotes.length = 0;
+  tiedNotes = null;
+  memberChannelBusyUntil.fill(0);
+  stepQueue.length = 0;
+  trackStepQueue.length = 0;
+}
+
+/**
+ * Send a note-off for every tracked note and stop tracking them. A note-on
+ * still waiting in the lookahead window (not cleared: Chrome has no
+ * clear(), and a running clock master skips it) gets its note-off at its
+ * own on-time, after it, so tied notes with no note-off yet can't hang.
+ */
+function releaseScheduledNotes() {
+  const now = performance.now();
+  scheduledNotes.forEach(({ channel, note, onTime }) => noteOff(channel, note, Math.max(now, onTime)));
+  scheduledNotes.length = 0;
+  tiedNotes = null;
+}
+
+const sequencerScheduler = createLookaheadScheduler({
+  getStepMs: () => STEP_MS / PULSES_PER_STEP,
+  getStepCount: () => PULSES_PER_STEP,
+  onStep: schedulePulse
+});
+
+/**
+ * Start playing from a song position (quarter-note beats, 0 = the top).
+ * With an external clock the pulses are driven by incoming ticks instead of
+ * the lookahead scheduler.
+ */
+function startSequencer(positionBeats = 0) {
+  if (sequencerRunning) return;
+  sequencerRunning = true;
+
+  // Initialize step tracking for glow animation
+  currentStep = 0;
+  stepStartTime = performance.now();
+  lastPluckedStep = -1;
+  stepQueue.length = 0;
+  lastChord = null;
+
+  // Place every step counter at the song position
+  const pulseBeats = stepLengthInBeats() / PULSES_PER_STEP;
+  sequencerPulse = Math.round(positionBeats / pulseBeats);
+  nextMainStep = Math.ceil(sequencerPulse / PULSES_PER_STEP) % MIDI_STEPS;
+  resetSensorTracks(sequencerPulse);
+  resetTransport(stepStartTime, positionBeats);
+
+  if (clockSync.mode === 'slave') {
+    startClockFollower(positionBeats);
+  } else {
+    sequencerScheduler.start(stepStartTime);
+    if (clockSync.mode === 'master') {
+      startClockMaster(stepStartTime);
+    }
+  }
+
+  sendMicrotonalSetup();
+  startCCStreaming();
+  updateStartButton();
+  console.log('▶ Sequencer started');
+}
+
+function stopSequencer() {
+  sequencerRunning = false;
+  sequencerScheduler.stop();
+  stopCCStreaming();
+  silenceOutstandingNotes();
+  // After the silence: its MIDIOutput.clear() would discard a queued Stop
+  stopClockMaster();
+  updateStartButton();
+  console.log('⏹ Sequencer stopped');
+}
+
+// ============================================================================
+// MIDI CLOCK SYNC
+// ============================================================================
+
+// 'internal' - own tempo, no clock output
+// 'master'   - own tempo, sends Clock (0xF8) and Start/Stop on the output
+// 'slave'    - follows Clock, Start, Stop, Continue and Song Position
+//              Pointer from the selected input
+const clockSync = {
+  mode: 'internal'
+};
+
+const MIDI_CLOCK = 0xF8;
+const MIDI_START = 0xFA;
+const MIDI_CONTINUE = 0xFB;
+const MIDI_STOP = 0xFC;
+const MIDI_SONG_POSITION = 0xF2;
+
+// MIDI clock runs at 24 pulses per quarter note
+const CLOCK_TICKS_PER_BEAT = 24;
+
+// Master: a lookahead scheduler stepping once per clock tick, on the same
+// clock as the step scheduler so ticks and notes share timestamps
+const clockMasterScheduler = createLookaheadScheduler({
+  getStepMs: () => (BPM > 0 ? 60000 / BPM / CLOCK_TICKS_PER_BEAT : Infinity),
+  getStepCount: () => CLOCK_TICKS_PER_BEAT,
+  onStep: (tick, time) => sendMIDI([MIDI_CLOCK], time)
+});
+
+function startClockMaster(startTime) {
+  sendMIDI([MIDI_START], startTime);
+  clockMasterScheduler.start(startTime);
+}
+
+function stopClockMaster() {
+  if (!clockMasterScheduler.isRunning()) return;
+  clockMasterScheduler.stop();
+  sendMIDI([MIDI_STOP]);
+}
+
+// Slave: incoming tick timing and song position
+const clockFollower = {
+  tickMs: null,         // Smoothed interval between ticks
+  lastTickTime: null,
+  ticksSinceTempo: 0,   // Ticks since the BPM display was last refreshed
+  position: 0,          // Song position of the next tick (quarter-note beats)
+  nextPulseBeat: 0,     // Song position of the next sequencer pulse
+  songPosition: 0       // Where Continue resumes (Stop or Song Position Pointer)
+};
+
+// Weight of each new tick interval in the tempo estimate
+const CLOCK_SMOOTHING = 0.1;
+
+function startClockFollower(positionBeats) {
+  clockFollower.position = positionBeats;
+  clockFollower.nextPulseBeat = positionBeats;
+}
+
+/**
+ * Tempo tracking plus pulse scheduling for one incoming clock tick.
+ * Pulses that fall inside this tick are placed at interpolated times
+ * using the measured tick length.
+ */
+function onClockTick(time) {
+  if (clockFollower.lastTickTime !== null) {
+    const interval = time - clockFollower.lastTickTime;
+    // Ignore gaps (stopped clock) rather than reading them as a tempo
+    if (interval > 0 && interval < 250) {
+      clockFollower.tickMs = clockFollower.tickMs === null
+        ? interval
+        : clockFollower.tickMs + (interval - clockFollower.tickMs) * CLOCK_SMOOTHING;
+    }
+  }
+  clockFollower.lastTickTime = time;
+
+  if (clockFollower.tickMs !== null && ++clockFollower.ticksSinceTempo >= CLOCK_TICKS_PER_BEAT) {
+    clockFollower.ticksSinceTempo = 0;
+    setExternalTempo(60000 / (clockFollower.tickMs * CLOCK_TICKS_PER_BEAT));
+  }
+
+  const tickBeat = clockFollower.position;
+  const tickEnd = tickBeat + 1 / CLOCK_TICKS_PER_BEAT;
+  clockFollower.position = tickEnd;
+
+  // The first tick only measures; pulses need a tick length to be placed
+  if (!sequencerRunning || clockFollower.tickMs === null) return;
+
+  const msPerBeat = clockFollower.tickMs * CLOCK_TICKS_PER_BEAT;
+  const pulseBeats = stepLengthInBeats() / PULSES_PER_STEP;
+
+  while (clockFollower.nextPulseBeat < tickEnd - 1e-9) {
+    const pulseTime = time + Math.max(0, clockFollower.nextPulseBeat - tickBeat) * msPerBeat;
+    schedulePulse(sequencerPulse % PULSES_PER_STEP, pulseTime, pulseBeats * msPerBeat);
+    clockFollower.nextPulseBeat += pulseBeats;
+  }
+}
+
+/**
+ * Follow the external tempo: BPM drives step lengths, gates and the display
+ */
+function setExternalTempo(bpm) {
+  const rounded = Math.round(bpm * 10) / 10;
+  // Refreshed once per beat; only a real change is worth a tempo event
+  if (rounded === BPM) return;
+  BPM = rounded;
+  STEP_MS = calculateStepMS();
+  bpmSlider.value = Math.round(BPM);
+  bpmValueDisplay.textContent = BPM.toFixed(1);
+  midiRecorder.setTempo(BPM);
+}
+
+/**
+ * Handle clock and transport messages from the input port
+ */
+function handleClockMessage(status, data, time) {
+  if (clockSync.mode !== 'slave') return;
+
+  switch (status) {
+    case MIDI_CLOCK:
+      onClockTick(time);
+      break;
+    case MIDI_START:
+      // The first tick after Start is beat 0
+      if (sequencerRunning) stopSequencer();
+      clockFollower.songPosition = 0;
+      startSequencer(0);
+      break;
+    case MIDI_CONTINUE:
+      if (!sequencerRunning) {
+        startSequencer(clockFollower.songPosition);
+      }
+      break;
+    case MIDI_STOP:
+      if (sequencerRunning) {
+        clockFollower.songPosition = clockFollower.position;
+        stopSequencer();
+      }
+      break;
+    case MIDI_SONG_POSITION:
+      // 14-bit count of MIDI beats (sixteenth notes)
+      clockFollower.songPosition = (data[1] | (data[2] << 7)) / 4;
+      if (!sequencerRunning) {
+        clockFollower.position = clockFollower.songPosition;
+      }
+      break;
+  }
+}
+
+/**
+ * Dispatch messages from the MIDI input
+ */
+function onMIDIInputMessage(event) {
+  const data = event.data;
+  if (!data || data.length === 0) return;
+  const status = data[0];
+  const time = event.timeStamp || performance.now();
+
+  if (status >= 0xF0) {
+    handleClockMessage(status, data, time);
+  } else {
+    handleLiveNoteMessage(status & 0xF0, data);
+  }
+}
+
+// ============================================================================
+// LIVE KEYBOARD INPUT (TRANSPOSE / SCALE FROM HELD NOTES)
+// ============================================================================
+
+// Notes played on the MIDI input steer quantization: one pitch class
+// re-roots `currentKey`, two or more replace the scale with those pitch
+// classes (rooted on the lowest note). The Key and Scale selects keep the
+// "selected" scale that the live harmony returns to.
+const liveInput = {
+  enabled: false,
+  latch: false,          // Keep the last chord after release until the next one
+  releaseToScale: true   // Without latch: releasing every key restores the selected scale
+};
+
+const heldInputNotes = new Set();
+let liveGestureNotes = new Set();  // Every note pressed since all keys were last up
+
+function handleLiveNoteMessage(type, data) {
+  if (!liveInput.enabled) return;
+
+  const note = data[1];
+  if (type === 0x90 && data[2] > 0) {
+    if (heldInputNotes.size === 0) {
+      liveGestureNotes = new Set();
+    }
+    heldInputNotes.add(note);
+    liveGestureNotes.add(note);
+  } else if (type === 0x80 || type === 0x90) {
+    if (!heldInputNotes.delete(note)) return;
+  } else {
+    return;
+  }
+
+  if (liveInput.latch) {
+    // Latched: the whole gesture counts, and releases change nothing
+    if (heldInputNotes.size > 0) {
+      applyLiveHarmony([...liveGestureNotes]);
+    }
+  } else if (heldInputNotes.size > 0) {
+    applyLiveHarmony([...heldInputNotes]);
+  } else if (liveInput.releaseToScale) {
+    restoreSelectedScale();
+  }
+}
+
+/**
+ * Re-root on a single pitch class, or take the scale from a chord
+ */
+function applyLiveHarmony(notes) {
+  const lowest = Math.min(...notes);
+  const root = lowest % 12;
+  const intervals = [...new Set(notes.map(note => (note - root) % 12))].sort((a, b) => a - b);
+
+  currentKey = root;
+  liveScale = intervals.length > 1 ? intervals : null;
+  rebuildLiveScalaNotes();
+  updateLiveInputStatus();
+}
+
+/**
+ * Drop the live harmony and return to the Key and Scale selects
+ */
+function restoreSelectedScale() {
+  currentKey = parseInt(keySelect.value);
+  liveScale = null;
+  rebuildLiveScalaNotes();
+  updateLiveInputStatus();
+}
+
+/**
+ * Scala tunings without a keyboard mapping are rooted on the key
+ */
+function rebuildLiveScalaNotes() {
+  if (customScala && !customKeyboardMap) {
+    rebuildScalaNotes();
+  }
+}
+
+function updateLiveInputStatus() {
+  if (!liveInput.enabled) {
+    liveInputStatus.textContent = '';
+    return;
+  }
+  if (!midiInput) {
+    liveInputStatus.textContent = 'Live: choose a MIDI input to play from';
+    return;
+  }
+  const rootName = keyNames[currentKey];
+  liveInputStatus.textContent = liveScale
+    ? `Live: ${liveScale.map(interval => keyNames[(currentKey + interval) % 12]).join(' ')}`
+    : `Live key: ${rootName}`;
+}
+
+// ============================================================================
+// CC PROBES
+// ============================================================================
+
+// Extra sensors, independent of the step sensors, that stream a smoothed
+// noise value to a MIDI CC while the sequencer runs
+const ccProbes = [];
+let nextCCProbeId = 1;
+
+// Probes are sampled from the animation loop, at most once per frame, so
+// the GPU readback doesn't run on a timer of its own. Each probe sends at
+// its own rate, capped by the frame rate.
+let ccStreaming = false;
+
+// Smoothing is the share of the old value kept per this much time, so it
+// sounds the same at any rate (the default 30 Hz keeps it per message)
+const CC_SMOOTHING_REFERENCE_MS = 1000 / 30;
+
+const ccProbeGeometry = new THREE.OctahedronGeometry(0.035);
+
+/**
+ * Unit-sphere position from latitude / longitude in degrees
+ */
+function latLonToPosition(lat, lon, target = new THREE.Vector3()) {
+  const latRad = THREE.MathUtils.degToRad(lat);
+  const lonRad = THREE.MathUtils.degToRad(lon);
+  return target.set(
+    Math.cos(latRad) * Math.cos(lonRad),
+    Math.sin(latRad),
+    Math.cos(latRad) * Math.sin(lonRad)
+  );
+}
+
+/**
+ * Add a CC probe and its marker on the sphere
+ */
+function addCCProbe(options = {}) {
+  const probe = {
+    id: nextCCProbeId++,
+    lat: 30,
+    lon: (ccProbes.length * 67) % 360 - 180, // Spread new probes around
+    cc: 74,          // Brightness / filter cutoff on most synths
+    channel: midiChannels.sequencer,
+    rate: 30,        // Messages per second
+    smoothing: 0.7,  // One-pole smoothing (0 = none, 0.99 = very slow)
+    ...options,
+    position: new THREE.Vector3(),
+    smoothed: null,
+    lastValue: -1,
+    lastSentTime: 0
+  };
+
+  const markerMaterial = new THREE.MeshBasicMaterial({
+    color: 0x00ccff,
+    transparent: true,
+    opacity: 0.9
+  });
+  probe.marker = new THREE.Mesh(ccProbeGeometry, markerMaterial);
+  scene.add(probe.marker);
+
+  ccProbes.push(probe);
+  updateCCProbePosition(probe);
+  return probe;
+}
+
+function removeCCProbe(probe) {
+  const index = ccProbes.indexOf(probe);
+  if (index === -1) return;
+  ccProbes.splice(index, 1);
+  scene.remove(probe.marker);
+  probe.marker.material.dispose();
+}
+
+function updateCCProbePosition(probe) {
+  latLonToPosition(probe.lat, probe.lon, probe.position);
+  // Float the marker just above the surface so it doesn't z-fight the sphere
+  probe.marker.position.copy(probe.position).multiplyScalar(1.04);
+}
+
+/**
+ * Sample every probe that is due in one batched sampler call, smooth the
+ * readings and send a CC for each value that changed. Called every frame.
+ */
+function streamCCProbes() {
+  if (!ccStreaming || !midiOutput || ccProbes.length === 0) return;
+
+  const now = performance.now();
+  const due = ccProbes.filter(probe => now - probe.lastSentTime >= 1000 / probe.rate);
+  if (due.length === 0) return;
+
+  // Sample at the field clock (transport time in transport mode), not the
+  // last frame's display uTime
+  const values = withFieldTime(displayFieldTime(now), () =>
+    noiseSampler.sample(due.map(probe => probe.position))
+  );
+
+  due.forEach((probe, i) => {
+    // One-pole smoothing over the time since this probe's last reading
+    const retained = Math.pow(probe.smoothing, (now - probe.lastSentTime) / CC_SMOOTHING_REFERENCE_MS);
+    probe.smoothed = probe.smoothed === null
+      ? values[i]
+      : probe.smoothed + (values[i] - probe.smoothed) * (1 - retained);
+    probe.lastSentTime = now;
+
+    const ccValue = Math.max(0, Math.min(127, Math.round(probe.smoothed * 127)));
+    if (ccValue !== probe.lastValue) {
+      sendControlChange(probe.channel, probe.cc, ccValue);
+      probe.lastValue = ccValue;
+    }
+
+    // Marker brightness follows the value being sent
+    probe.marker.material.color.setRGB(0, 0.4 + probe.smoothed * 0.6, 1.0);
+  });
+}
+
+function startCCStreaming() {
+  if (ccStreaming) return;
+  ccProbes.forEach(probe => {
+    probe.smoothed = null;
+    probe.lastValue = -1;
+    probe.lastSentTime = 0;
+  });
+  ccStreaming = true;
+}
+
+function stopCCStreaming() {
+  ccStreaming = false;
+}
+
+// ============================================================================
+// SENSOR TRACKS
+// ============================================================================
+
+// Extra sensor rings, each its own MIDI track with its own step count,
+// layout, rotation, channel, scale and clock division. They run on the
+// main scheduler's pulse grid and are sampled in the same batched call as
+// the main ring, so different step counts give polymetric layers.
+const sensorTracks = [];
+let nextSensorTrackId = 1;
+
+// Clock divisions, as pulses per track step (PULSES_PER_STEP = main step)
+const TRACK_DIVISIONS = {
+  '4x': 3,
+  '3x': 4,
+  '2x': 6,
+  '3:2': 8,
+  '1x': 12,
+  '2:3': 18,
+  '1/2': 24,
+  '1/3': 36,
+  '1/4': 48
+};
+
+const TRACK_COLORS = [0xff9f1c, 0xb967ff, 0x2ec4b6, 0xff5d8f, 0xc5f277];
+
+// Steps queued for the track markers, consumed when the clock reaches them
+const trackStepQueue = [];
+
+const trackMarkerGeometry = new THREE.SphereGeometry(0.025, 12, 12);
+
+/**
+ * Add a sensor track and its markers on the sphere
+ */
+function addSensorTrack(options = {}) {
+  const track = {
+    id: nextSensorTrackId++,
+    enabled: true,
+    steps: 12,
+    layout: 'greatCircle',
+    tilt: 30 * (sensorTracks.length + 1) % 90,
+    azimuth: (sensorTracks.length * 60) % 360,
+    channel: Math.min(15, sensorTracks.length + 1),
+    scale: 'global',    // 'global' follows the main scale, otherwise a SCALES key
+    pulsesPerStep: TRACK_DIVISIONS['1x'],
+    ...options,
+    points: [],
+    nextStep: 0,
+    currentStep: -1,
+    color: TRACK_COLORS[sensorTracks.length % TRACK_COLORS.length]
+  };
+
+  track.group = new THREE.Group();
+  scene.add(track.group);
+
+  sensorTracks.push(track);
+  rebuildSensorTrack(track);
+  return track;
+}
+
+function removeSensorTrack(track) {
+  const index = sensorTracks.indexOf(track);
+  if (index === -1) return;
+  sensorTracks.splice(index, 1);
+  disposeSensorTrackVisuals(track);
+  scene.remove(track.group);
+}
+
+function disposeSensorTrackVisuals(track) {
+  track.group.children.forEach(child => {
+    if (child.geometry !== trackMarkerGeometry) {
+      child.geometry.dispose();
+    }
+    child.material.dispose();
+  });
+  track.group.clear();
 }
 
-function noteOff(note, time = 0) {
-  if (midiOutput) {
-    midiOutput.send([0x80, note, 0], time);
-  }
+/**
+ * Regenerate a track's sensor positions and markers after a change to its
+ * steps, layout or rotation (or to the shared layout parameters)
+ */
+function rebuildSensorTrack(track) {
+  const rotation = new THREE.Euler(
+    THREE.MathUtils.degToRad(track.tilt),
+    THREE.MathUtils.degToRad(track.azimuth),
+    0,
+    'YXZ'
+  );
+  track.points = generateLayoutPositions(track.layout, track.steps)
+    .map(p => p.applyEuler(rotation));
+  track.nextStep %= track.steps;
+
+  disposeSensorTrackVisuals(track);
+
+  track.markers = track.points.map(point => {
+    const marker = new THREE.Mesh(
+      trackMarkerGeometry,
+      new THREE.MeshBasicMaterial({ color: track.color, transparent: true, opacity: 0.6 })
+    );
+    marker.position.copy(point).multiplyScalar(1.02);
+    track.group.add(marker);
+    return marker;
+  });
+
+  const line = new THREE.LineLoop(
+    new THREE.BufferGeometry().setFromPoints(track.points.map(p => p.clone().multiplyScalar(1.02))),
+    new THREE.LineBasicMaterial({ color: track.color, transparent: true, opacity: 0.4 })
+  );
+  track.group.add(line);
+  track.group.visible = track.enabled;
 }
 
 /**
- * Map noise value [0..1] to MIDI note [12..84]
+ * Reset the track step counters to the step due at or after `pulse`
  */
-function noiseToMidiNote(value) {
+function resetSensorTracks(pulse = 0) {
+  trackStepQueue.length = 0;
+  sensorTracks.forEach(track => {
+    track.nextStep = Math.ceil(pulse / track.pulsesPerStep) % track.steps;
+    track.currentStep = -1;
+  });
+}
+
+/**
+ * Map a noise value to a note in the track's scale
+ */
+function trackNoteFromNoise(track, value) {
+  if (track.scale === 'global') {
+    return noiseToMidiNote(value);
+  }
   const clamped = Math.max(0, Math.min(1, value));
   const rawNote = Math.round(MIN_NOTE + clamped * (MAX_NOTE - MIN_NOTE));
-  return quantizeToScale(rawNote);
+  return quantizeToNotes(rawNote, generateScaleNotesFor(SCALES[track.scale], currentKey));
 }
 
-// ============================================================================
-// SEQUENCER
-// ============================================================================
+/**
+ * Schedule one track step from its already-sampled noise value
+ */
+function scheduleTrackStep(track, step, value, time, stepMs) {
+  dropStaleSteps(trackStepQueue);
+  trackStepQueue.push({ track, step, time });
 
-function scheduleNoiseSequence() {
+  pruneScheduledNotes();
   if (!midiOutput) return;
 
-  // Skip scheduling if BPM is 0 (STEP_MS would be Infinity)
-  if (!isFinite(STEP_MS)) return;
+  const pitch = trackNoteFromNoise(track, value);
+  const tOff = time + stepMs * FIXED_GATE;
+  schedulePitchedNote(track.channel, pitch, FIXED_VELOCITY, time, tOff);
+}
 
-  const noiseValues = sampleNoiseFromGPU();
+/**
+ * Light up each track's current marker once the clock reaches its step
+ */
+function updateSensorTrackGlow() {
   const now = performance.now();
+  while (trackStepQueue.length > 0 && trackStepQueue[0].time <= now) {
+    const { track, step } = trackStepQueue.shift();
+    track.currentStep = step;
+  }
 
-  for (let i = 0; i < MIDI_STEPS; i++) {
-    const value = noiseValues[i];
-    const note = noiseToMidiNote(value);
-    const velocity = 80;
+  sensorTracks.forEach(track => {
+    track.markers.forEach((marker, i) => {
+      const active = sequencerRunning && i === track.currentStep;
+      marker.material.opacity = active ? 1.0 : 0.6;
+      marker.scale.setScalar(active ? 1.8 : 1.0);
+    });
+  });
+}
 
-    const tOn = now + i * STEP_MS;
-    const tOff = tOn + STEP_MS * 0.8;
+// ============================================================================
+// UI CONTROLS
+// ============================================================================
 
-    noteOn(note, velocity, tOn);
-    noteOff(note, tOff);
-  }
+const startBtn = document.getElementById('startBtn');
 
-  // Note: String plucking is now handled by updateSequenceGlow()
-  // to keep it perfectly synchronized with the beacon animation
+function updateStartButton() {
+  startBtn.textContent = sequencerRunning ? '⏹ Stop Sequencer' : '▶ Start MIDI Sequencer';
 }
 
-let sequencerTimeoutId = null;
+startBtn.addEventListener('click', async () => {
+  if (!sequencerRunning) {
+    const success = await initMIDI();
+    if (!success) return;
 
-function startSequencer() {
-  if (sequencerRunning) return;
-  sequencerRunning = true;
+    // A slaved sequencer resumes at the song position and waits for ticks
+    startSequencer(clockSync.mode === 'slave' ? clockFollower.songPosition : 0);
+  } else {
+    stopSequencer();
+  }
+});
 
-  // Initialize step tracking for glow animation
-  currentStep = 0;
-  stepStartTime = performance.now();
+// Record / export Standard MIDI File
+const recordBtn = document.getElementById('recordBtn');
+const exportMidiBtn = document.getElementById('exportMidiBtn');
+
+recordBtn.addEventListener('click', () => {
+  if (!midiRecorder.isRecording()) {
+    midiRecorder.start(BPM, timeSigNumerator, timeSigDenominator);
+    recordBtn.textContent = '■ Stop Recording';
+    exportMidiBtn.disabled = true;
+    console.log('⏺ Recording started');
+  } else {
+    midiRecorder.stop();
+    recordBtn.textContent = '● Record';
+    exportMidiBtn.disabled = !midiRecorder.hasData();
+    console.log('⏺ Recording stopped');
+  }
+});
+
+exportMidiBtn.addEventListener('click', () => {
+  if (!midiRecorder.hasData()) return;
+
+  const bytes = midiRecorder.toMidiFile(PPQN);
+  const blob = new Blob([bytes], { type: 'audio/midi' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `noise-take-${new Date().toISOString().replace(/[:.]/g, '-')}.mid`;
+  link.click();
+  URL.revokeObjectURL(url);
+
+  console.log(`💾 Exported MIDI file (${bytes.length} bytes)`);
+});
 
-  function loop() {
-    if (!sequencerRunning) return;
+// MIDI output port picker
+const midiOutputSelect = document.getElementById('midiOutputSelect');
 
-    scheduleNoiseSequence();
+midiOutputSelect.addEventListener('change', (e) => {
+  if (!midiAccess) return;
+  setMIDIOutput(midiAccess.outputs.get(e.target.value) || null, true);
+});
+
+populateOutputSelect();
+
+// MIDI input port picker
+const midiInputSelect = document.getElementById('midiInputSelect');
+
+midiInputSelect.addEventListener('change', (e) => {
+  if (!midiAccess) return;
+  setMIDIInput(midiAccess.inputs.get(e.target.value) || null, true);
+});
+
+populateInputSelect();
+
+// Clock sync mode
+const clockSyncSelect = document.getElementById('clockSyncSelect');
+
+clockSyncSelect.addEventListener('change', (e) => {
+  const wasRunning = sequencerRunning;
+  if (wasRunning) {
+    stopSequencer();
+  }
 
-    // Calculate next schedule time based on current BPM (recalculated each loop)
-    // This ensures tempo changes are reflected immediately
-    const barMs = STEP_MS * MIDI_STEPS;
+  clockSync.mode = e.target.value;
+  clockFollower.tickMs = null;
+  clockFollower.lastTickTime = null;
+  bpmSlider.disabled = clockSync.mode === 'slave';
 
-    sequencerTimeoutId = setTimeout(loop, barMs);
+  if (clockSync.mode === 'slave') {
+    if (!midiInput) {
+      alert('Choose a MIDI input to receive clock from.');
+    }
+  } else {
+    // Back to our own tempo
+    bpmSlider.dispatchEvent(new Event('input'));
+    if (wasRunning) {
+      startSequencer();
+    }
   }
 
-  loop();
-  console.log('▶ Sequencer started');
+  console.log('⏱️ Clock sync:', clockSync.mode);
+});
+
+// Per-voice MIDI channel selectors
+const channelSelects = {
+  sequencer: document.getElementById('sequencerChannelSelect'),
+  strings: document.getElementById('stringsChannelSelect'),
+  pitchBend: document.getElementById('pitchBendChannelSelect')
+};
+
+Object.entries(channelSelects).forEach(([voice, select]) => {
+  for (let channel = 0; channel < 16; channel++) {
+    const option = document.createElement('option');
+    option.value = channel;
+    option.textContent = `Ch ${channel + 1}`;
+    select.appendChild(option);
+  }
+  select.value = midiChannels[voice];
+
+  select.addEventListener('change', (e) => {
+    const channel = parseInt(e.target.value);
+    if (channel === midiChannels[voice]) return;
+
+    // Release notes and bends on the old channel before moving the voice
+    if (voice === 'sequencer') {
+      releaseScheduledNotes();
+    } else {
+      sendPitchBend(midiChannels[voice], 8192);
+    }
+
+    midiChannels[voice] = channel;
+    console.log(`🎛️ ${voice} channel:`, channel + 1);
+  });
+});
+
+// Expression mapping controls (velocity / gate / rest)
+function bindExpressionSource(name) {
+  const select = document.getElementById(`${name}Source`);
+  select.value = expressionMappings[name].source;
+  select.addEventListener('change', (e) => {
+    expressionMappings[name].source = e.target.value;
+    console.log(`🎚️ ${name} source:`, e.target.value);
+  });
 }
 
-function stopSequencer() {
-  sequencerRunning = false;
-  if (sequencerTimeoutId !== null) {
-    clearTimeout(sequencerTimeoutId);
-    sequencerTimeoutId = null;
+function bindExpressionRange(name, key, decimals) {
+  const slider = document.getElementById(`${name}${key[0].toUpperCase()}${key.slice(1)}`);
+  const display = document.getElementById(`${name}${key[0].toUpperCase()}${key.slice(1)}Value`);
+  slider.value = expressionMappings[name][key];
+  display.textContent = expressionMappings[name][key].toFixed(decimals);
+  slider.addEventListener('input', (e) => {
+    const value = parseFloat(e.target.value);
+    expressionMappings[name][key] = value;
+    display.textContent = value.toFixed(decimals);
+  });
+}
+
+bindExpressionSource('velocity');
+bindExpressionRange('velocity', 'min', 0);
+bindExpressionRange('velocity', 'max', 0);
+bindExpressionSource('gate');
+bindExpressionRange('gate', 'min', 2);
+bindExpressionRange('gate', 'max', 2);
+bindExpressionSource('rest');
+bindExpressionRange('rest', 'threshold', 2);
+
+// Chord mode controls
+const chordToggle = document.getElementById('chordToggle');
+const chordVoicesSlider = document.getElementById('chordVoicesSlider');
+const chordVoicesValue = document.getElementById('chordVoicesValue');
+const chordLayerSelect = document.getElementById('chordLayerSelect');
+const chordSpreadSlider = document.getElementById('chordSpreadSlider');
+const chordSpreadValue = document.getElementById('chordSpreadValue');
+const chordScaleToggle = document.getElementById('chordScaleToggle');
+const voiceLeadingToggle = document.getElementById('voiceLeadingToggle');
+
+chordToggle.addEventListener('change', (e) => {
+  chordSettings.enabled = e.target.checked;
+  lastChord = null;
+  console.log('🎶 Chord mode:', chordSettings.enabled ? 'enabled' : 'disabled');
+});
+
+chordVoicesSlider.addEventListener('input', (e) => {
+  chordSettings.voices = parseInt(e.target.value);
+  chordVoicesValue.textContent = chordSettings.voices;
+});
+
+chordLayerSelect.addEventListener('change', (e) => {
+  chordSettings.layerMode = e.target.value;
+});
+
+chordSpreadSlider.addEventListener('input', (e) => {
+  chordSettings.spread = parseFloat(e.target.value);
+  chordSpreadValue.textContent = chordSettings.spread.toFixed(2);
+});
+
+chordScaleToggle.addEventListener('change', (e) => {
+  chordSettings.useScaleDegrees = e.target.checked;
+});
+
+voiceLeadingToggle.addEventListener('change', (e) => {
+  chordSettings.voiceLeading = e.target.checked;
+  lastChord = null;
+});
+
+// Step overlay grid and editor
+const stepGrid = document.getElementById('stepGrid');
+const selectedStepValue = document.getElementById('selectedStepValue');
+const stepMuteToggle = document.getElementById('stepMuteToggle');
+const stepLockToggle = document.getElementById('stepLockToggle');
+const stepAccentToggle = document.getElementById('stepAccentToggle');
+const stepTieToggle = document.getElementById('stepTieToggle');
+const stepOctaveSelect = document.getElementById('stepOctaveSelect');
+const accentVelocitySlider = document.getElementById('accentVelocitySlider');
+const accentVelocityValue = document.getElementById('accentVelocityValue');
+const stepProbabilitySlider = document.getElementById('stepProbabilitySlider');
+const stepProbabilityValue = document.getElementById('stepProbabilityValue');
+const stepRatchetSelect = document.getElementById('stepRatchetSelect');
+
+/**
+ * Redraw the step chips and load the selected step into the editor
+ */
+function refreshStepGrid() {
+  stepGrid.innerHTML = '';
+  stepStates.slice(0, MIDI_STEPS).forEach((state, i) => {
+    const chip = document.createElement('button');
+    chip.className = 'step-chip';
+    chip.classList.toggle('selected', i === stepOverlay.selectedStep);
+    chip.classList.toggle('muted', state.mute);
+    chip.classList.toggle('locked', state.lock);
+    chip.classList.toggle('accent', state.accent);
+    chip.classList.toggle('tied', state.tie);
+    chip.classList.toggle('off-beat', !stepInRhythm(i));
+    chip.classList.toggle('ratchet', state.ratchet > 1);
+    chip.style.opacity = 0.4 + 0.6 * state.probability;
+    chip.textContent = state.octave === 0 ? `${i + 1}` : `${i + 1}${state.octave > 0 ? '+' : ''}${state.octave}`;
+    chip.title = `Step ${i + 1}: ${Math.round(state.probability * 100)}%` +
+      (state.ratchet > 1 ? `, ×${state.ratchet}` : '');
+    chip.addEventListener('click', () => {
+      stepOverlay.selectedStep = i;
+      refreshStepGrid();
+    });
+    stepGrid.appendChild(chip);
+  });
+
+  const state = stepStates[stepOverlay.selectedStep];
+  selectedStepValue.textContent = `Step ${stepOverlay.selectedStep + 1}`;
+  stepMuteToggle.checked = state.mute;
+  stepLockToggle.checked = state.lock;
+  stepAccentToggle.checked = state.accent;
+  stepTieToggle.checked = state.tie;
+  stepOctaveSelect.value = state.octave;
+  stepProbabilitySlider.value = Math.round(state.probability * 100);
+  stepProbabilityValue.textContent = `${Math.round(state.probability * 100)}%`;
+  stepRatchetSelect.value = state.ratchet;
+}
+
+[
+  [stepMuteToggle, 'mute'],
+  [stepLockToggle, 'lock'],
+  [stepAccentToggle, 'accent'],
+  [stepTieToggle, 'tie']
+].forEach(([toggle, flag]) => {
+  toggle.addEventListener('change', (e) => {
+    if (stepStates[stepOverlay.selectedStep][flag] !== e.target.checked) {
+      toggleStepFlag(stepOverlay.selectedStep, flag);
+    }
+  });
+});
+
+stepOctaveSelect.addEventListener('change', (e) => {
+  stepStates[stepOverlay.selectedStep].octave = parseInt(e.target.value);
+  refreshStepGrid();
+});
+
+stepProbabilitySlider.addEventListener('input', (e) => {
+  stepStates[stepOverlay.selectedStep].probability = parseInt(e.target.value) / 100;
+  refreshStepGrid();
+});
+
+stepRatchetSelect.addEventListener('change', (e) => {
+  stepStates[stepOverlay.selectedStep].ratchet = parseInt(e.target.value);
+  refreshStepGrid();
+});
+
+accentVelocitySlider.addEventListener('input', (e) => {
+  stepOverlay.accentVelocity = parseInt(e.target.value);
+  accentVelocityValue.textContent = stepOverlay.accentVelocity;
+});
+
+document.getElementById('clearStepsBtn').addEventListener('click', () => {
+  stepStates = stepStates.map(() => createStepState());
+  refreshStepGrid();
+  console.log('🧹 Step overlay cleared');
+});
+
+// Euclidean rhythm
+const euclideanToggle = document.getElementById('euclideanToggle');
+const euclideanHitsSlider = document.getElementById('euclideanHitsSlider');
+const euclideanHitsValue = document.getElementById('euclideanHitsValue');
+const euclideanRotationSlider = document.getElementById('euclideanRotationSlider');
+const euclideanRotationValue = document.getElementById('euclideanRotationValue');
+
+/**
+ * Keep hits and rotation within the step count
+ */
+function updateEuclideanSliders() {
+  rhythm.hits = Math.min(rhythm.hits, MIDI_STEPS);
+  rhythm.rotation = Math.min(rhythm.rotation, MIDI_STEPS - 1);
+  euclideanHitsSlider.max = MIDI_STEPS;
+  euclideanRotationSlider.max = MIDI_STEPS - 1;
+  euclideanHitsSlider.value = rhythm.hits;
+  euclideanRotationSlider.value = rhythm.rotation;
+  euclideanHitsValue.textContent = `${rhythm.hits} / ${MIDI_STEPS}`;
+  euclideanRotationValue.textContent = rhythm.rotation;
+}
+
+euclideanToggle.addEventListener('change', (e) => {
+  rhythm.euclidean = e.target.checked;
+  refreshStepGrid();
+  console.log('🥁 Euclidean rhythm:', rhythm.euclidean ? `${rhythm.hits}/${MIDI_STEPS}` : 'off');
+});
+
+euclideanHitsSlider.addEventListener('input', (e) => {
+  rhythm.hits = parseInt(e.target.value);
+  updateEuclideanSliders();
+  refreshStepGrid();
+});
+
+euclideanRotationSlider.addEventListener('input', (e) => {
+  rhythm.rotation = parseInt(e.target.value);
+  updateEuclideanSliders();
+  refreshStepGrid();
+});
+
+updateEuclideanSliders();
+refreshStepGrid();
+
+/**
+ * Create an element with properties and children. Values go in through
+ * properties and text nodes, never parsed as HTML.
+ */
+function buildElement(tag, props = {}, children = []) {
+  const element = document.createElement(tag);
+  Object.assign(element, props);
+  element.append(...children);
+  return element;
+}
+
+/**
+ * Header of a probe or track row: a title and a remove button
+ */
+function buildRowHeader(title, removeTitle) {
+  return buildElement('div', { className: 'cc-probe-header' }, [
+    buildElement('span', { textContent: title }),
+    buildElement('span', { className: 'cc-probe-remove', title: removeTitle, textContent: '✕' })
+  ]);
+}
+
+// CC probe list
+const ccProbeList = document.getElementById('ccProbeList');
+const addCCProbeBtn = document.getElementById('addCCProbeBtn');
+
+/**
+ * Build the control row for one CC probe
+ */
+function createCCProbeRow(probe) {
+  const row = document.createElement('div');
+  row.className = 'cc-probe';
+  row.append(
+    buildRowHeader(`Probe ${probe.id}`, 'Remove probe'),
+    buildElement('div', { className: 'cc-probe-fields' }, [
+      buildElement('label', {}, ['CC ', buildElement('input', { type: 'number', className: 'cc-number', min: 0, max: 119, value: probe.cc })]),
+      buildElement('label', {}, ['Ch ', buildElement('select', { className: 'cc-channel' })]),
+      buildElement('label', {}, ['Hz ', buildElement('input', { type: 'number', className: 'cc-rate', min: 1, max: 100, value: probe.rate })])
+    ]),
+    buildElement('label', {}, ['Latitude ', buildElement('span', { className: 'value cc-lat-value', textContent: `${probe.lat}°` })]),
+    buildElement('input', { type: 'range', className: 'cc-lat', min: -90, max: 90, step: 1, value: probe.lat }),
+    buildElement('label', {}, ['Longitude ', buildElement('span', { className: 'value cc-lon-value', textContent: `${probe.lon}°` })]),
+    buildElement('input', { type: 'range', className: 'cc-lon', min: -180, max: 180, step: 1, value: probe.lon }),
+    buildElement('label', {}, ['Smoothing ', buildElement('span', { className: 'value cc-smoothing-value', textContent: probe.smoothing.toFixed(2) })]),
+    buildElement('input', { type: 'range', className: 'cc-smoothing', min: 0, max: 0.99, step: 0.01, value: probe.smoothing })
+  );
+
+  const channelSelect = row.querySelector('.cc-channel');
+  for (let channel = 0; channel < 16; channel++) {
+    const option = document.createElement('option');
+    option.value = channel;
+    option.textContent = channel + 1;
+    channelSelect.appendChild(option);
   }
-  console.log('⏹ Sequencer stopped');
+  channelSelect.value = probe.channel;
+
+  row.querySelector('.cc-number').addEventListener('change', (e) => {
+    probe.cc = Math.max(0, Math.min(119, parseInt(e.target.value) || 0));
+    e.target.value = probe.cc;
+    probe.lastValue = -1;
+  });
+  channelSelect.addEventListener('change', (e) => {
+    probe.channel = parseInt(e.target.value);
+    probe.lastValue = -1;
+  });
+  row.querySelector('.cc-rate').addEventListener('change', (e) => {
+    probe.rate = Math.max(1, Math.min(100, parseInt(e.target.value) || 1));
+    e.target.value = probe.rate;
+  });
+  row.querySelector('.cc-lat').addEventListener('input', (e) => {
+    probe.lat = parseInt(e.target.value);
+    row.querySelector('.cc-lat-value').textContent = `${probe.lat}°`;
+    updateCCProbePosition(probe);
+  });
+  row.querySelector('.cc-lon').addEventListener('input', (e) => {
+    probe.lon = parseInt(e.target.value);
+    row.querySelector('.cc-lon-value').textContent = `${probe.lon}°`;
+    updateCCProbePosition(probe);
+  });
+  row.querySelector('.cc-smoothing').addEventListener('input', (e) => {
+    probe.smoothing = parseFloat(e.target.value);
+    row.querySelector('.cc-smoothing-value').textContent = probe.smoothing.toFixed(2);
+  });
+  row.querySelector('.cc-probe-remove').addEventListener('click', () => {
+    removeCCProbe(probe);
+    row.remove();
+    console.log(`🎛️ CC probe ${probe.id} removed`);
+  });
+
+  ccProbeList.appendChild(row);
 }
 
-// ============================================================================
-// UI CONTROLS
-// ============================================================================
+addCCProbeBtn.addEventListener('click', () => {
+  const probe = addCCProbe();
+  createCCProbeRow(probe);
+  console.log(`🎛️ CC probe ${probe.id} added → CC${probe.cc} ch ${probe.channel + 1}`);
+});
 
-const startBtn = document.getElementById('startBtn');
-let started = false;
+// Sensor track list
+const sensorTrackList = document.getElementById('sensorTrackList');
+const addSensorTrackBtn = document.getElementById('addSensorTrackBtn');
 
-startBtn.addEventListener('click', async () => {
-  if (!started) {
-    const success = await initMIDI();
-    if (!success) return;
+/**
+ * Build the control row for one sensor track
+ */
+function createSensorTrackRow(track) {
+  const row = document.createElement('div');
+  row.className = 'cc-probe sensor-track';
+  const header = buildRowHeader(`Track ${track.id}`, 'Remove track');
+  header.firstChild.style.color = `#${track.color.toString(16).padStart(6, '0')}`;
+  row.append(
+    header,
+    buildElement('div', { className: 'cc-probe-fields' }, [
+      buildElement('label', {}, ['Steps ', buildElement('input', { type: 'number', className: 'track-steps', min: 1, max: 64, value: track.steps })]),
+      buildElement('label', {}, ['Ch ', buildElement('select', { className: 'track-channel' })]),
+      buildElement('label', {}, [buildElement('input', { type: 'checkbox', className: 'track-enabled', checked: track.enabled }), ' On'])
+    ]),
+    buildElement('div', { className: 'cc-probe-fields' }, [
+      buildElement('label', {}, ['Clock ', buildElement('select', { className: 'track-division' })]),
+      buildElement('label', {}, ['Scale ', buildElement('select', { className: 'track-scale' })])
+    ]),
+    buildElement('label', { textContent: 'Layout' }),
+    buildElement('select', { className: 'track-layout' }),
+    buildElement('label', {}, ['Tilt ', buildElement('span', { className: 'value track-tilt-value', textContent: `${track.tilt}°` })]),
+    buildElement('input', { type: 'range', className: 'track-tilt', min: 0, max: 180, step: 1, value: track.tilt }),
+    buildElement('label', {}, ['Azimuth ', buildElement('span', { className: 'value track-azimuth-value', textContent: `${track.azimuth}°` })]),
+    buildElement('input', { type: 'range', className: 'track-azimuth', min: 0, max: 360, step: 1, value: track.azimuth })
+  );
 
-    startSequencer();
-    startBtn.textContent = '⏹ Stop Sequencer';
-    started = true;
-  } else {
-    stopSequencer();
-    startBtn.textContent = '▶ Start MIDI Sequencer';
-    started = false;
+  const channelSelect = row.querySelector('.track-channel');
+  for (let channel = 0; channel < 16; channel++) {
+    const option = document.createElement('option');
+    option.value = channel;
+    option.textContent = channel + 1;
+    channelSelect.appendChild(option);
   }
+  channelSelect.value = track.channel;
+
+  const divisionSelect = row.querySelector('.track-division');
+  Object.entries(TRACK_DIVISIONS).forEach(([name, pulses]) => {
+    const option = document.createElement('option');
+    option.value = pulses;
+    option.textContent = name;
+    divisionSelect.appendChild(option);
+  });
+  divisionSelect.value = track.pulsesPerStep;
+
+  const scaleSelect = row.querySelector('.track-scale');
+  ['global', ...Object.keys(SCALES)].forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name === 'global' ? 'Main' : name;
+    scaleSelect.appendChild(option);
+  });
+  scaleSelect.value = track.scale;
+
+  const layoutSelect = row.querySelector('.track-layout');
+  Object.entries(SENSOR_LAYOUTS).forEach(([id, layout]) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = layout.label;
+    layoutSelect.appendChild(option);
+  });
+  layoutSelect.value = track.layout;
+
+  row.querySelector('.track-steps').addEventListener('change', (e) => {
+    track.steps = Math.max(1, Math.min(64, parseInt(e.target.value) || 1));
+    e.target.value = track.steps;
+    rebuildSensorTrack(track);
+  });
+  channelSelect.addEventListener('change', (e) => {
+    track.channel = parseInt(e.target.value);
+  });
+  row.querySelector('.track-enabled').addEventListener('change', (e) => {
+    track.enabled = e.target.checked;
+    track.group.visible = track.enabled;
+  });
+  divisionSelect.addEventListener('change', (e) => {
+    track.pulsesPerStep = parseInt(e.target.value);
+  });
+  scaleSelect.addEventListener('change', (e) => {
+    track.scale = e.target.value;
+  });
+  layoutSelect.addEventListener('change', (e) => {
+    const layout = SENSOR_LAYOUTS[e.target.value];
+    if (layout.available && !layout.available()) {
+      e.target.value = track.layout;
+      alert('Draw or load a path first.');
+      return;
+    }
+    track.layout = e.target.value;
+    rebuildSensorTrack(track);
+  });
+  row.querySelector('.track-tilt').addEventListener('input', (e) => {
+    track.tilt = parseInt(e.target.value);
+    row.querySelector('.track-tilt-value').textContent = `${track.tilt}°`;
+    rebuildSensorTrack(track);
+  });
+  row.querySelector('.track-azimuth').addEventListener('input', (e) => {
+    track.azimuth = parseInt(e.target.value);
+    row.querySelector('.track-azimuth-value').textContent = `${track.azimuth}°`;
+    rebuildSensorTrack(track);
+  });
+  row.querySelector('.cc-probe-remove').addEventListener('click', () => {
+    removeSensorTrack(track);
+    row.remove();
+    console.log(`🛤️ Track ${track.id} removed`);
+  });
+
+  sensorTrackList.appendChild(row);
+}
+
+addSensorTrackBtn.addEventListener('click', () => {
+  const track = addSensorTrack();
+  createSensorTrackRow(track);
+  console.log(`🛤️ Track ${track.id} added → ${track.steps} steps, ch ${track.channel + 1}`);
 });
 
 // Steps slider
@@ -1465,22 +4886,24 @@ const stepsSlider = document.getElementById('stepsSlider');
 const stepsValueDisplay = document.getElementById('stepsValue');
 
 stepsSlider.addEventListener('input', (e) => {
-  const wasRunning = sequencerRunning;
-  if (wasRunning) {
-    stopSequencer();
+  // End whatever is sounding; the scheduler keeps running and picks up
+  // the new step count on its next step, so nothing restarts mid-bar
+  if (sequencerRunning) {
+    silenceOutstandingNotes();
+    lastPluckedStep = -1;
   }
 
   MIDI_STEPS = parseInt(e.target.value);
+  STEP_MS = calculateStepMS();
   stepsValueDisplay.textContent = MIDI_STEPS;
+  resizeStepStates();
+  updateEuclideanSliders();
+  refreshStepGrid();
 
   // Rebuild all geometry with new step count
   rebuildBeaconsAndTubes();
 
   console.log('🎚️ Steps updated to:', MIDI_STEPS);
-
-  if (wasRunning) {
-    startSequencer();
-  }
 });
 
 // Time signature controls
@@ -1510,6 +4933,8 @@ function updateTimeSigDisplay() {
   const actualDenom = getDenominatorFromSlider(parseInt(denominatorSlider.value), newComplexityEnabled);
   timeSigValueDisplay.textContent = `${timeSigNumerator}/${actualDenom}`;
 
+  midiRecorder.setTimeSignature(timeSigNumerator, timeSigDenominator);
+
   const ticksPerMeasure = calculateTicksPerMeasure();
   console.log(`🎼 Time signature: ${timeSigNumerator}/${actualDenom} | PPQN: ${PPQN} | Ticks/measure: ${ticksPerMeasure.toFixed(2)}`);
 }
@@ -1621,37 +5046,231 @@ spatialScaleSlider.addEventListener('input', (e) => {
   spatialValueDisplay.textContent = value.toFixed(2);
 });
 
-// Time Scale slider
-const timeScaleSlider = document.getElementById('timeScale');
-const timeValueDisplay = document.getElementById('timeValue');
+// Time Scale slider
+const timeScaleSlider = document.getElementById('timeScale');
+const timeValueDisplay = document.getElementById('timeValue');
+
+timeScaleSlider.addEventListener('input', (e) => {
+  const value = parseFloat(e.target.value);
+  material.uniforms.uTimeScale.value = value;
+  samplingMaterial.uniforms.uTimeScale.value = value;
+  timeValueDisplay.textContent = value.toFixed(2);
+});
+
+// Noise basis and fBm controls (uniforms are shared by the display and
+// sampling materials, so visuals and notes always read the same field)
+const noiseTypeSelect = document.getElementById('noiseTypeSelect');
+noiseTypeSelect.addEventListener('change', (e) => {
+  material.uniforms.uNoiseType.value = parseInt(e.target.value);
+  console.log('🌀 Noise type:', e.target.options[e.target.selectedIndex].text);
+});
+
+function bindNoiseUniformSlider(sliderId, displayId, uniformName, parse, decimals) {
+  const slider = document.getElementById(sliderId);
+  const display = document.getElementById(displayId);
+  slider.addEventListener('input', (e) => {
+    const value = parse(e.target.value);
+    material.uniforms[uniformName].value = value;
+    display.textContent = value.toFixed(decimals);
+  });
+}
+
+bindNoiseUniformSlider('octavesSlider', 'octavesValue', 'uOctaves', v => parseInt(v), 0);
+bindNoiseUniformSlider('lacunaritySlider', 'lacunarityValue', 'uLacunarity', parseFloat, 2);
+bindNoiseUniformSlider('gainSlider', 'gainValue', 'uGain', parseFloat, 2);
+bindNoiseUniformSlider('warpSlider', 'warpValue', 'uWarpStrength', parseFloat, 2);
+
+// 3D / 4D noise mode
+const noise4DToggle = document.getElementById('noise4DToggle');
+noise4DToggle.addEventListener('change', (e) => {
+  material.uniforms.uNoise4D.value = e.target.checked;
+  console.log('🌌 Noise mode:', e.target.checked ? '4D (time = W)' : '3D (time = Z offset)');
+});
+
+// Noise sampler selection
+const samplerSelect = document.getElementById('samplerSelect');
+
+samplerSelect.addEventListener('change', (e) => {
+  noiseSampler = e.target.value === 'cpu' ? cpuNoiseSampler : gpuNoiseSampler;
+  console.log('🧮 Noise sampler:', noiseSampler.name);
+});
+
+// Sensor Distribution slider
+const distributionSlider = document.getElementById('distributionSlider');
+const distributionValueDisplay = document.getElementById('distributionValue');
+
+distributionSlider.addEventListener('input', (e) => {
+  sensorDistribution = parseFloat(e.target.value);
+  updateSensorPositions();
+
+  updateDistributionDisplay();
+
+  console.log('🎯 Sensor distribution:', sensorDistribution.toFixed(2));
+});
+
+function updateDistributionDisplay() {
+  if (sensorDistribution < 0.1) {
+    distributionValueDisplay.textContent = SENSOR_LAYOUTS[morphFromLayout].name;
+  } else if (sensorDistribution > 0.9) {
+    distributionValueDisplay.textContent = SENSOR_LAYOUTS[morphToLayout].name;
+  } else {
+    distributionValueDisplay.textContent = Math.round(sensorDistribution * 100) + '%';
+  }
+}
+
+// Sensor layout controls
+const morphFromSelect = document.getElementById('morphFromSelect');
+const morphToSelect = document.getElementById('morphToSelect');
+const layoutParamsContainer = document.getElementById('layoutParams');
+
+[morphFromSelect, morphToSelect].forEach(select => {
+  Object.entries(SENSOR_LAYOUTS).forEach(([id, layout]) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = layout.label;
+    select.appendChild(option);
+  });
+});
+morphFromSelect.value = morphFromLayout;
+morphToSelect.value = morphToLayout;
+
+/**
+ * Build sliders for the parameters of the two selected layouts
+ */
+function renderLayoutParams() {
+  layoutParamsContainer.innerHTML = '';
+  const layoutIds = [...new Set([morphFromLayout, morphToLayout])];
+
+  layoutIds.forEach(layoutId => {
+    const layout = SENSOR_LAYOUTS[layoutId];
+    Object.entries(layout.params).forEach(([key, param]) => {
+      const group = document.createElement('div');
+      group.className = 'control-group';
+
+      const label = document.createElement('label');
+      label.textContent = `${layout.name}: ${param.label} `;
+      const valueDisplay = document.createElement('span');
+      valueDisplay.className = 'value';
+      valueDisplay.textContent = param.value;
+      label.appendChild(valueDisplay);
+
+      const slider = document.createElement('input');
+      slider.type = 'range';
+      slider.min = param.min;
+      slider.max = param.max;
+      slider.step = param.step;
+      slider.value = param.value;
+      slider.addEventListener('input', (e) => {
+        param.value = parseFloat(e.target.value);
+        valueDisplay.textContent = param.value;
+        applySensorLayouts();
+        sensorTracks
+          .filter(track => track.layout === layoutId)
+          .forEach(rebuildSensorTrack);
+      });
+
+      group.appendChild(label);
+      group.appendChild(slider);
+      layoutParamsContainer.appendChild(group);
+    });
+  });
+}
+
+function bindLayoutSelect(select, assign) {
+  select.addEventListener('change', (e) => {
+    const layout = SENSOR_LAYOUTS[e.target.value];
+    if (layout.available && !layout.available()) {
+      e.target.value = select === morphFromSelect ? morphFromLayout : morphToLayout;
+      alert('Draw or load a path first.');
+      return;
+    }
+    assign(e.target.value);
+    renderLayoutParams();
+    applySensorLayouts();
+    updateDistributionDisplay();
+    console.log('🎯 Sensor layouts:', morphFromLayout, '→', morphToLayout);
+  });
+}
+
+bindLayoutSelect(morphFromSelect, (id) => { morphFromLayout = id; });
+bindLayoutSelect(morphToSelect, (id) => { morphToLayout = id; });
+renderLayoutParams();
+
+// Sensor path controls
+const drawPathBtn = document.getElementById('drawPathBtn');
+const editPathBtn = document.getElementById('editPathBtn');
+const savedPathSelect = document.getElementById('savedPathSelect');
+const savePathBtn = document.getElementById('savePathBtn');
+const deletePathBtn = document.getElementById('deletePathBtn');
+
+function updatePathModeButtons() {
+  drawPathBtn.textContent = pathEditMode === 'draw' ? '✏ Drawing…' : '✏ Draw';
+  editPathBtn.textContent = pathEditMode === 'edit' ? '✓ Done' : '✥ Edit';
+  editPathBtn.disabled = !drawnPath && pathEditMode !== 'edit';
+}
 
-timeScaleSlider.addEventListener('input', (e) => {
-  const value = parseFloat(e.target.value);
-  material.uniforms.uTimeScale.value = value;
-  samplingMaterial.uniforms.uTimeScale.value = value;
-  timeValueDisplay.textContent = value.toFixed(2);
+function populateSavedPathSelect() {
+  const paths = loadSavedPaths();
+  savedPathSelect.innerHTML = '<option value="">Saved paths…</option>';
+  Object.keys(paths).sort().forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    savedPathSelect.appendChild(option);
+  });
+}
+
+drawPathBtn.addEventListener('click', () => {
+  setPathEditMode(pathEditMode === 'draw' ? 'off' : 'draw');
 });
 
-// Sensor Distribution slider
-const distributionSlider = document.getElementById('distributionSlider');
-const distributionValueDisplay = document.getElementById('distributionValue');
+editPathBtn.addEventListener('click', () => {
+  setPathEditMode(pathEditMode === 'edit' ? 'off' : 'edit');
+});
 
-distributionSlider.addEventListener('input', (e) => {
-  sensorDistribution = parseFloat(e.target.value);
-  updateSensorPositions(sensorDistribution);
+savedPathSelect.addEventListener('change', (e) => {
+  const points = loadSavedPaths()[e.target.value];
+  if (!points) return;
+  drawnPath = points.map(([x, y, z]) => new THREE.Vector3(x, y, z).normalize());
+  if (morphFromLayout !== 'path') {
+    morphToLayout = 'path';
+    morphToSelect.value = 'path';
+    renderLayoutParams();
+  }
+  applySensorLayouts();
+  updateDistributionDisplay();
+  updatePathModeButtons();
+  console.log('✏️ Path loaded:', e.target.value);
+});
 
-  // Update display text
-  if (sensorDistribution < 0.1) {
-    distributionValueDisplay.textContent = 'Line';
-  } else if (sensorDistribution > 0.9) {
-    distributionValueDisplay.textContent = 'Chaos';
-  } else {
-    distributionValueDisplay.textContent = Math.round(sensorDistribution * 100) + '%';
+savePathBtn.addEventListener('click', () => {
+  if (!drawnPath) {
+    alert('Draw a path first.');
+    return;
   }
+  const name = prompt('Path name:', savedPathSelect.value || 'My path');
+  if (!name) return;
+  const paths = loadSavedPaths();
+  paths[name] = drawnPath.map(p => [p.x, p.y, p.z]);
+  storeSavedPaths(paths);
+  populateSavedPathSelect();
+  savedPathSelect.value = name;
+  console.log('💾 Path saved:', name);
+});
 
-  console.log('🎯 Sensor distribution:', sensorDistribution.toFixed(2));
+deletePathBtn.addEventListener('click', () => {
+  const name = savedPathSelect.value;
+  if (!name) return;
+  const paths = loadSavedPaths();
+  delete paths[name];
+  storeSavedPaths(paths);
+  populateSavedPathSelect();
+  console.log('🗑️ Path deleted:', name);
 });
 
+populateSavedPathSelect();
+updatePathModeButtons();
+
 // BPM slider
 const bpmSlider = document.getElementById('bpmSlider');
 const bpmValueDisplay = document.getElementById('bpmValue');
@@ -1659,6 +5278,7 @@ const bpmValueDisplay = document.getElementById('bpmValue');
 bpmSlider.addEventListener('input', (e) => {
   BPM = parseInt(e.target.value);
   STEP_MS = calculateStepMS();
+  midiRecorder.setTempo(BPM);
   bpmValueDisplay.textContent = BPM;
   console.log('🎵 BPM updated to:', BPM);
 });
@@ -1673,6 +5293,87 @@ animationSlider.addEventListener('input', (e) => {
   console.log('🎭 Animation speed:', sensorAnimationSpeed);
 });
 
+// Sensor depth sliders
+function bindSensorDepthSlider(sliderId, valueId, key, format) {
+  const slider = document.getElementById(sliderId);
+  const valueDisplay = document.getElementById(valueId);
+
+  slider.addEventListener('input', (e) => {
+    sensorDepth[key] = parseFloat(e.target.value);
+    valueDisplay.textContent = format(sensorDepth[key]);
+    updateSensorPositions();
+    console.log('🫧 Sensor depth:', key, sensorDepth[key]);
+  });
+}
+
+bindSensorDepthSlider('sensorRadiusSlider', 'sensorRadiusValue', 'radius', v => v.toFixed(2));
+bindSensorDepthSlider('breathDepthSlider', 'breathDepthValue', 'breathDepth', v => v.toFixed(2));
+bindSensorDepthSlider('breathRateSlider', 'breathRateValue', 'breathRate', v => v.toFixed(2) + ' Hz');
+bindSensorDepthSlider('breathSpreadSlider', 'breathSpreadValue', 'breathSpread', v => v.toFixed(2));
+
+// Field rotation
+const fieldDragToggle = document.getElementById('fieldDragToggle');
+const fieldSpinSlider = document.getElementById('fieldSpinSlider');
+const fieldSpinValueDisplay = document.getElementById('fieldSpinValue');
+const resetFieldBtn = document.getElementById('resetFieldBtn');
+
+fieldDragToggle.addEventListener('change', (e) => {
+  fieldRotation.dragEnabled = e.target.checked;
+  // Dragging turns the field; zoom still works
+  controls.enableRotate = !fieldRotation.dragEnabled;
+  console.log('🌐 Field drag rotation:', fieldRotation.dragEnabled ? 'ON' : 'OFF');
+});
+
+fieldSpinSlider.addEventListener('input', (e) => {
+  rebaseFieldSpin();
+  fieldRotation.spinSpeed = parseFloat(e.target.value);
+  fieldSpinValueDisplay.textContent = fieldRotation.spinSpeed.toFixed(2);
+});
+
+resetFieldBtn.addEventListener('click', () => {
+  resetFieldRotation();
+  console.log('🌐 Field rotation reset');
+});
+
+// Noise seed and field clock
+const seedInput = document.getElementById('seedInput');
+const randomSeedBtn = document.getElementById('randomSeedBtn');
+const clockModeSelect = document.getElementById('clockModeSelect');
+const startBeatInput = document.getElementById('startBeatInput');
+
+seedInput.addEventListener('change', (e) => {
+  setNoiseSeed(parseInt(e.target.value));
+  e.target.value = noiseSeed;
+});
+
+randomSeedBtn.addEventListener('click', () => {
+  seedInput.value = 1 + Math.floor(Math.random() * 99999);
+  seedInput.dispatchEvent(new Event('change'));
+});
+
+clockModeSelect.addEventListener('change', (e) => {
+  musicalClock.mode = e.target.value;
+  rebaseFieldSpin();
+  console.log('⏱️ Field clock:', musicalClock.mode);
+});
+
+startBeatInput.addEventListener('change', (e) => {
+  musicalClock.startBeat = Math.max(0, parseFloat(e.target.value) || 0);
+  e.target.value = musicalClock.startBeat;
+  if (!sequencerRunning) {
+    resetTransport(performance.now());
+  }
+});
+
+// Cross-section view
+const crossSectionSelect = document.getElementById('crossSectionSelect');
+
+crossSectionSelect.addEventListener('change', (e) => {
+  crossSectionMode = e.target.value;
+  updateCrossSection();
+  console.log('🔪 Cross-section:', crossSectionMode);
+});
+
 // Scale toggle
 const scaleToggle = document.getElementById('scaleToggle');
 
@@ -1687,6 +5388,10 @@ const keyNames = ['C', 'C#/Db', 'D', 'D#/Eb', 'E', 'F', 'F#/Gb', 'G', 'G#/Ab', '
 
 keySelect.addEventListener('change', (e) => {
   currentKey = parseInt(e.target.value);
+  // Without a keyboard mapping the Scala root follows the key
+  if (customScala && !customKeyboardMap) {
+    rebuildScalaNotes();
+  }
   console.log('🎹 Key changed to:', keyNames[currentKey]);
 });
 
@@ -1697,7 +5402,11 @@ scaleSelect.addEventListener('change', (e) => {
   const scaleName = e.target.value;
   if (SCALES[scaleName]) {
     currentScale = SCALES[scaleName];
-    customScalaScale = null; // Clear custom scale when selecting preset
+    // Clear custom scale and mapping when selecting preset
+    customScala = null;
+    customKeyboardMap = null;
+    rebuildScalaNotes();
+    updateScalaStatus();
     console.log('🎹 Scale changed to:', scaleName);
   }
 });
@@ -1705,6 +5414,51 @@ scaleSelect.addEventListener('change', (e) => {
 // Scala file import
 const scalaFileInput = document.getElementById('scalaFileInput');
 const scalaFileName = document.getElementById('scalaFileName');
+const kbmFileInput = document.getElementById('kbmFileInput');
+
+/**
+ * Show the loaded .scl/.kbm pair under the import buttons
+ */
+function updateScalaStatus() {
+  const parts = [];
+  if (customScala) {
+    parts.push(`✓ Loaded: ${customScala.name} (${customScalaScale.length} notes)`);
+  }
+  if (customKeyboardMap) {
+    parts.push(`🎹 Mapping: ${customKeyboardMap.name}` + (customScala ? '' : ' (load a .scl to apply)'));
+  }
+  scalaFileName.textContent = parts.join(' · ');
+}
+
+/**
+ * Apply a new .scl/.kbm pair, keeping the previous one if they don't combine
+ */
+function setScalaTuning(scala, keyboardMap) {
+  // Patches and share links carry tunings too, so check them like files
+  if (scala) {
+    if (scala.cents) {
+      validateScalaCents(scala.cents);
+    } else if (!Array.isArray(scala.notes) || !scala.notes.every(Number.isFinite)) {
+      throw new Error('Scala scale has no valid degrees');
+    }
+  }
+  if (keyboardMap) {
+    validateKeyboardMap(keyboardMap);
+  }
+
+  const previous = { scala: customScala, keyboardMap: customKeyboardMap };
+  customScala = scala;
+  customKeyboardMap = keyboardMap;
+  try {
+    rebuildScalaNotes();
+  } catch (err) {
+    customScala = previous.scala;
+    customKeyboardMap = previous.keyboardMap;
+    rebuildScalaNotes();
+    throw err;
+  }
+  updateScalaStatus();
+}
 
 scalaFileInput.addEventListener('change', async (e) => {
   const file = e.target.files[0];
@@ -1712,8 +5466,7 @@ scalaFileInput.addEventListener('change', async (e) => {
 
   try {
     const text = await file.text();
-    customScalaScale = parseScalaFile(text);
-    scalaFileName.textContent = `✓ Loaded: ${file.name} (${customScalaScale.length} notes)`;
+    setScalaTuning({ name: file.name, ...parseScalaFile(text) }, customKeyboardMap);
     scaleToggle.checked = true;
     scaleEnabled = true;
     console.log('🎹 Scala file loaded:', file.name);
@@ -1724,6 +5477,565 @@ scalaFileInput.addEventListener('change', async (e) => {
   }
 });
 
+// Scala keyboard mapping import
+kbmFileInput.addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  try {
+    const text = await file.text();
+    setScalaTuning(customScala, { name: file.name, ...parseKeyboardMapFile(text) });
+    console.log('🎹 Keyboard mapping loaded:', file.name);
+  } catch (err) {
+    scalaFileName.textContent = `✗ Error: ${err.message}`;
+    console.error('Keyboard mapping parse error:', err);
+  }
+});
+
+// Live keyboard input
+const liveInputToggle = document.getElementById('liveInputToggle');
+const liveLatchToggle = document.getElementById('liveLatchToggle');
+const liveReleaseToggle = document.getElementById('liveReleaseToggle');
+const liveInputStatus = document.getElementById('liveInputStatus');
+
+liveInputToggle.addEventListener('change', (e) => {
+  liveInput.enabled = e.target.checked;
+  heldInputNotes.clear();
+  liveGestureNotes = new Set();
+  restoreSelectedScale();
+
+  if (liveInput.enabled) {
+    // Live harmony only acts through quantization
+    scaleToggle.checked = true;
+    scaleEnabled = true;
+  }
+  console.log('🎹 Live input:', liveInput.enabled ? 'enabled' : 'disabled');
+});
+
+liveLatchToggle.addEventListener('change', (e) => {
+  liveInput.latch = e.target.checked;
+  liveReleaseToggle.disabled = liveInput.latch;
+  // Leaving latch with nothing held returns to the selected scale
+  if (!liveInput.latch && heldInputNotes.size === 0 && liveInput.releaseToScale) {
+    restoreSelectedScale();
+  }
+});
+
+liveReleaseToggle.addEventListener('change', (e) => {
+  liveInput.releaseToScale = e.target.checked;
+});
+
+// Microtonal output
+const microtonalToggle = document.getElementById('microtonalToggle');
+const bendRangeSlider = document.getElementById('bendRangeSlider');
+const bendRangeValue = document.getElementById('bendRangeValue');
+const memberChannelsSlider = document.getElementById('memberChannelsSlider');
+const memberChannelsValue = document.getElementById('memberChannelsValue');
+
+microtonalToggle.addEventListener('change', (e) => {
+  if (!e.target.checked) {
+    resetMemberChannelBends();
+    if (microtonal.enabled) {
+      sendMicrotonalTeardown();
+    }
+  }
+  microtonal.enabled = e.target.checked;
+  sendMicrotonalSetup();
+  console.log('🎚️ Microtonal output:', microtonal.enabled ? 'enabled' : 'disabled');
+});
+
+bendRangeSlider.addEventListener('input', (e) => {
+  microtonal.bendRange = parseInt(e.target.value);
+  bendRangeValue.textContent = `±${microtonal.bendRange}`;
+});
+
+memberChannelsSlider.addEventListener('input', (e) => {
+  const count = parseInt(e.target.value);
+  // Centre channels that drop out of the zone
+  if (microtonal.enabled) {
+    for (let i = count; i < microtonal.memberChannels; i++) {
+      sendPitchBend(MPE_MANAGER_CHANNEL + 1 + i, 8192);
+    }
+  }
+  microtonal.memberChannels = count;
+  nextMemberChannel = 0;
+  memberChannelsValue.textContent = `2–${count + 1}`;
+});
+
+// Reconfigure the receiver once a slider is released
+bendRangeSlider.addEventListener('change', sendMicrotonalSetup);
+memberChannelsSlider.addEventListener('change', sendMicrotonalSetup);
+
+// ============================================================================
+// PATCH STATE (PRESETS / FILE / URL)
+// ============================================================================
+
+// Named presets, and the patch restored on the next load
+const presetStore = createPresetStore('noiseMidi.presets');
+const LAST_PATCH_STORAGE_KEY = 'noiseMidi.lastPatch';
+
+/**
+ * Snapshot everything that shapes the music into a plain JSON object.
+ * The MIDI output port is left out; it is remembered per machine.
+ */
+function capturePatch() {
+  const layoutParams = {};
+  Object.entries(SENSOR_LAYOUTS).forEach(([id, layout]) => {
+    const params = {};
+    Object.entries(layout.params).forEach(([key, param]) => {
+      params[key] = param.value;
+    });
+    if (Object.keys(params).length > 0) {
+      layoutParams[id] = params;
+    }
+  });
+
+  return {
+    version: PATCH_VERSION,
+    transport: {
+      bpm: BPM,
+      steps: MIDI_STEPS,
+      clock: musicalClock.mode,
+      startBeat: musicalClock.startBeat,
+      timeSignature: {
+        numerator: timeSigNumerator,
+        denominator: timeSigDenominator,
+        newComplexity: newComplexityEnabled
+      }
+    },
+    noise: {
+      spatialScale: material.uniforms.uSpatialScale.value,
+      timeScale: material.uniforms.uTimeScale.value,
+      type: material.uniforms.uNoiseType.value,
+      octaves: material.uniforms.uOctaves.value,
+      lacunarity: material.uniforms.uLacunarity.value,
+      gain: material.uniforms.uGain.value,
+      warpStrength: material.uniforms.uWarpStrength.value,
+      noise4D: material.uniforms.uNoise4D.value,
+      seed: noiseSeed,
+      sampler: noiseSampler.name
+    },
+    sensors: {
+      distribution: sensorDistribution,
+      animationSpeed: sensorAnimationSpeed,
+      morphFrom: morphFromLayout,
+      morphTo: morphToLayout,
+      layoutParams,
+      drawnPath: drawnPath ? drawnPath.map(p => [p.x, p.y, p.z]) : null,
+      depth: { ...sensorDepth },
+      fieldSpin: fieldRotation.spinSpeed,
+      fieldRotation: noiseMesh.quaternion.toArray(),
+      crossSection: crossSectionMode
+    },
+    scale: {
+      enabled: scaleEnabled,
+      key: parseInt(keySelect.value),
+      name: scaleSelect.value,
+      scala: customScala,
+      keyboardMap: customKeyboardMap,
+      microtonal: { ...microtonal },
+      liveInput: { ...liveInput }
+    },
+    chords: { ...chordSettings },
+    stepOverlay: {
+      accentVelocity: stepOverlay.accentVelocity,
+      steps: stepStates.slice(0, MIDI_STEPS).map(state => ({ ...state }))
+    },
+    rhythm: { ...rhythm },
+    expression: {
+      velocity: pickKeys(expressionMappings.velocity, ['source', 'min', 'max']),
+      gate: pickKeys(expressionMappings.gate, ['source', 'min', 'max']),
+      rest: pickKeys(expressionMappings.rest, ['source', 'threshold'])
+    },
+    channels: { ...midiChannels },
+    tracks: sensorTracks.map(track => pickKeys(track, [
+      'enabled', 'steps', 'layout', 'tilt', 'azimuth', 'channel', 'scale', 'pulsesPerStep'
+    ])),
+    ccProbes: ccProbes.map(probe => pickKeys(probe, [
+      'lat', 'lon', 'cc', 'channel', 'rate', 'smoothing'
+    ]))
+  };
+}
+
+function pickKeys(object, keys) {
+  const picked = {};
+  keys.forEach(key => {
+    picked[key] = object[key];
+  });
+  return picked;
+}
+
+/**
+ * Copy a number from a patch into `target[key]`, clamped to [min, max]
+ * (and rounded unless `integer` is false). Anything that isn't a finite
+ * number is left out, so the target keeps its default.
+ */
+function copyPatchNumber(target, key, value, min, max, integer = true) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return;
+  const number = integer ? Math.round(value) : value;
+  target[key] = Math.max(min, Math.min(max, number));
+}
+
+/**
+ * Options for addSensorTrack() from a saved track. Shared links are
+ * applied on load, so every field is checked: a bad channel or step count
+ * would otherwise break playback for whoever opens the link.
+ */
+function sensorTrackFromPatch(saved) {
+  const options = {};
+  if (!saved || typeof saved !== 'object') return options;
+
+  if (typeof saved.enabled === 'boolean') options.enabled = saved.enabled;
+  copyPatchNumber(options, 'steps', saved.steps, 1, 64);
+  copyPatchNumber(options, 'tilt', saved.tilt, 0, 180);
+  copyPatchNumber(options, 'azimuth', saved.azimuth, 0, 360);
+  copyPatchNumber(options, 'channel', saved.channel, 0, 15);
+
+  const layout = Object.hasOwn(SENSOR_LAYOUTS, saved.layout) ? SENSOR_LAYOUTS[saved.layout] : null;
+  if (layout && (!layout.available || layout.available())) {
+    options.layout = saved.layout;
+  }
+  if (saved.scale === 'global' || Object.hasOwn(SCALES, saved.scale)) {
+    options.scale = saved.scale;
+  }
+  if (Object.values(TRACK_DIVISIONS).includes(saved.pulsesPerStep)) {
+    options.pulsesPerStep = saved.pulsesPerStep;
+  }
+  return options;
+}
+
+/**
+ * Options for addCCProbe() from a saved probe, checked like a track's
+ */
+function ccProbeFromPatch(saved) {
+  const options = {};
+  if (!saved || typeof saved !== 'object') return options;
+
+  copyPatchNumber(options, 'lat', saved.lat, -90, 90);
+  copyPatchNumber(options, 'lon', saved.lon, -180, 180);
+  copyPatchNumber(options, 'cc', saved.cc, 0, 119);
+  copyPatchNumber(options, 'channel', saved.channel, 0, 15);
+  copyPatchNumber(options, 'rate', saved.rate, 1, 100);
+  copyPatchNumber(options, 'smoothing', saved.smoothing, 0, 0.99, false);
+  return options;
+}
+
+/**
+ * Drawn path from saved [x, y, z] points; null unless every point is
+ * three finite numbers off the origin
+ */
+function pathFromPatch(points) {
+  if (!Array.isArray(points) || points.length === 0) return null;
+  const path = [];
+  for (const point of points) {
+    if (!Array.isArray(point) || point.length !== 3 || !point.every(Number.isFinite)) return null;
+    const vector = new THREE.Vector3(...point);
+    if (vector.lengthSq() === 0) return null;
+    path.push(vector.normalize());
+  }
+  return path;
+}
+
+/**
+ * Set a control and fire its event, so the control's own handler applies
+ * the value exactly as if the user had changed it
+ */
+function setControl(element, value) {
+  if (value === undefined || value === null) return;
+  if (element.type === 'checkbox') {
+    element.checked = Boolean(value);
+    element.dispatchEvent(new Event('change'));
+  } else {
+    element.value = value;
+    element.dispatchEvent(new Event(element.type === 'range' ? 'input' : 'change'));
+  }
+}
+
+/**
+ * Apply a patch. Missing sections keep their current values, so older or
+ * partial patches still load.
+ */
+function applyPatch(patch) {
+  const { transport, noise, sensors, scale, chords, stepOverlay: overlay, rhythm: rhythmPatch, expression, channels } = patch;
+
+  if (transport) {
+    setControl(bpmSlider, transport.bpm);
+    setControl(stepsSlider, transport.steps);
+    setControl(clockModeSelect, transport.clock);
+    setControl(startBeatInput, transport.startBeat);
+    const timeSig = transport.timeSignature;
+    if (timeSig) {
+      setControl(newComplexityToggle, timeSig.newComplexity);
+      setControl(numeratorSlider, timeSig.numerator);
+      setControl(denominatorSlider, getSliderFromDenominator(timeSig.denominator, newComplexityEnabled));
+    }
+  }
+
+  if (noise) {
+    setControl(spatialScaleSlider, noise.spatialScale);
+    setControl(timeScaleSlider, noise.timeScale);
+    setControl(noiseTypeSelect, noise.type);
+    setControl(document.getElementById('octavesSlider'), noise.octaves);
+    setControl(document.getElementById('lacunaritySlider'), noise.lacunarity);
+    setControl(document.getElementById('gainSlider'), noise.gain);
+    setControl(document.getElementById('warpSlider'), noise.warpStrength);
+    setControl(noise4DToggle, noise.noise4D);
+    setControl(seedInput, noise.seed);
+    setControl(samplerSelect, noise.sampler);
+  }
+
+  if (sensors) {
+    if (sensors.layoutParams) {
+      Object.entries(sensors.layoutParams).forEach(([id, params]) => {
+        const layout = SENSOR_LAYOUTS[id];
+        if (!layout) return;
+        Object.entries(params).forEach(([key, value]) => {
+          if (layout.params[key]) {
+            layout.params[key].value = value;
+          }
+        });
+      });
+    }
+    if (sensors.drawnPath !== undefined) {
+      drawnPath = pathFromPatch(sensors.drawnPath);
+      if (sensors.drawnPath && !drawnPath) {
+        console.warn('Patch path not applied: invalid points');
+      }
+      updatePathModeButtons();
+    }
+    if (SENSOR_LAYOUTS[sensors.morphFrom]) {
+      morphFromLayout = sensors.morphFrom;
+      morphFromSelect.value = morphFromLayout;
+    }
+    if (SENSOR_LAYOUTS[sensors.morphTo]) {
+      morphToLayout = sensors.morphTo;
+      morphToSelect.value = morphToLayout;
+    }
+    renderLayoutParams();
+    applySensorLayouts();
+
+    setControl(distributionSlider, sensors.distribution);
+    setControl(animationSlider, sensors.animationSpeed);
+    if (sensors.depth) {
+      setControl(document.getElementById('sensorRadiusSlider'), sensors.depth.radius);
+      setControl(document.getElementById('breathDepthSlider'), sensors.depth.breathDepth);
+      setControl(document.getElementById('breathRateSlider'), sensors.depth.breathRate);
+      setControl(document.getElementById('breathSpreadSlider'), sensors.depth.breathSpread);
+    }
+    setControl(fieldSpinSlider, sensors.fieldSpin);
+    if (Array.isArray(sensors.fieldRotation)) {
+      noiseMesh.quaternion.fromArray(sensors.fieldRotation).normalize();
+      updateFieldRotationUniform();
+      rebaseFieldSpin();
+    }
+    setControl(crossSectionSelect, sensors.crossSection);
+  }
+
+  if (scale) {
+    setControl(keySelect, scale.key);
+    setControl(scaleSelect, scale.name);
+    if (scale.scala || scale.keyboardMap) {
+      try {
+        setScalaTuning(scale.scala || null, scale.keyboardMap || null);
+      } catch (err) {
+        console.warn('Patch tuning not applied:', err.message);
+      }
+    }
+    setControl(scaleToggle, scale.enabled);
+    if (scale.liveInput) {
+      setControl(liveLatchToggle, scale.liveInput.latch);
+      setControl(liveReleaseToggle, scale.liveInput.releaseToScale);
+      setControl(liveInputToggle, scale.liveInput.enabled);
+    }
+    if (scale.microtonal) {
+      setControl(bendRangeSlider, scale.microtonal.bendRange);
+      setControl(memberChannelsSlider, scale.microtonal.memberChannels);
+      setControl(microtonalToggle, scale.microtonal.enabled);
+    }
+  }
+
+  if (chords) {
+    setControl(chordToggle, chords.enabled);
+    setControl(chordVoicesSlider, chords.voices);
+    setControl(chordLayerSelect, chords.layerMode);
+    setControl(chordSpreadSlider, chords.spread);
+    setControl(chordScaleToggle, chords.useScaleDegrees);
+    setControl(voiceLeadingToggle, chords.voiceLeading);
+  }
+
+  if (overlay) {
+    setControl(accentVelocitySlider, overlay.accentVelocity);
+    if (Array.isArray(overlay.steps)) {
+      stepStates = overlay.steps.slice(0, MIDI_STEPS).map(stepStateFromPatch);
+      resizeStepStates();
+      refreshStepGrid();
+    }
+  }
+
+  if (rhythmPatch) {
+    setControl(euclideanHitsSlider, rhythmPatch.hits);
+    setControl(euclideanRotationSlider, rhythmPatch.rotation);
+    setControl(euclideanToggle, rhythmPatch.euclidean);
+  }
+
+  if (expression) {
+    Object.entries(expression).forEach(([name, mapping]) => {
+      if (!expressionMappings[name]) return;
+      Object.entries(mapping).forEach(([key, value]) => {
+        const suffix = key === 'source' ? 'Source' : key[0].toUpperCase() + key.slice(1);
+        const control = document.getElementById(`${name}${suffix}`);
+        if (control) {
+          setControl(control, value);
+        }
+      });
+    });
+  }
+
+  if (channels) {
+    Object.entries(channelSelects).forEach(([voice, select]) => {
+      setControl(select, channels[voice]);
+    });
+  }
+
+  if (Array.isArray(patch.tracks)) {
+    [...sensorTracks].forEach(removeSensorTrack);
+    sensorTrackList.innerHTML = '';
+    patch.tracks.forEach(saved => createSensorTrackRow(addSensorTrack(sensorTrackFromPatch(saved))));
+  }
+
+  if (Array.isArray(patch.ccProbes)) {
+    [...ccProbes].forEach(removeCCProbe);
+    ccProbeList.innerHTML = '';
+    patch.ccProbes.forEach(saved => createCCProbeRow(addCCProbe(ccProbeFromPatch(saved))));
+  }
+
+  console.log('📦 Patch applied');
+}
+
+// Preset controls
+const presetSelect = document.getElementById('presetSelect');
+const savePresetBtn = document.getElementById('savePresetBtn');
+const deletePresetBtn = document.getElementById('deletePresetBtn');
+const exportPatchBtn = document.getElementById('exportPatchBtn');
+const patchFileInput = document.getElementById('patchFileInput');
+const sharePatchBtn = document.getElementById('sharePatchBtn');
+
+function populatePresetSelect() {
+  presetSelect.innerHTML = '<option value="">Presets…</option>';
+  presetStore.list().forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    presetSelect.appendChild(option);
+  });
+}
+
+presetSelect.addEventListener('change', (e) => {
+  if (!e.target.value) return;
+  try {
+    const patch = presetStore.load(e.target.value);
+    if (patch) {
+      applyPatch(patch);
+      console.log('📦 Preset loaded:', e.target.value);
+    }
+  } catch (err) {
+    alert(`Could not load preset: ${err.message}`);
+  }
+});
+
+savePresetBtn.addEventListener('click', () => {
+  const name = prompt('Preset name:', presetSelect.value || 'My patch');
+  if (!name) return;
+  try {
+    presetStore.save(name, capturePatch());
+  } catch (err) {
+    alert(`Could not save preset: ${err.message}`);
+    return;
+  }
+  populatePresetSelect();
+  presetSelect.value = name;
+  console.log('💾 Preset saved:', name);
+});
+
+deletePresetBtn.addEventListener('click', () => {
+  const name = presetSelect.value;
+  if (!name || !confirm(`Delete preset "${name}"?`)) return;
+  presetStore.remove(name);
+  populatePresetSelect();
+  console.log('🗑️ Preset deleted:', name);
+});
+
+exportPatchBtn.addEventListener('click', () => {
+  const json = JSON.stringify(capturePatch(), null, 2);
+  const blob = new Blob([json], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${presetSelect.value || 'noise-patch'}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+
+  console.log('💾 Patch exported');
+});
+
+patchFileInput.addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  try {
+    applyPatch(parsePatch(await file.text()));
+    console.log('📦 Patch imported:', file.name);
+  } catch (err) {
+    alert(`Could not import patch: ${err.message}`);
+    console.error('Patch import error:', err);
+  }
+  e.target.value = '';
+});
+
+sharePatchBtn.addEventListener('click', async () => {
+  const hash = encodePatchHash(capturePatch());
+  history.replaceState(null, '', hash);
+  try {
+    await navigator.clipboard.writeText(location.href);
+    sharePatchBtn.textContent = '✓ Link Copied';
+  } catch (err) {
+    sharePatchBtn.textContent = '✓ Link in Address Bar';
+  }
+  setTimeout(() => {
+    sharePatchBtn.textContent = '🔗 Share Link';
+  }, 2000);
+  console.log('🔗 Patch link:', location.href);
+});
+
+/**
+ * Restore state on load: a patch in the URL wins over the last session
+ */
+function restoreInitialPatch() {
+  try {
+    const fromHash = decodePatchHash(location.hash);
+    if (fromHash) {
+      applyPatch(fromHash);
+      console.log('🔗 Patch loaded from URL');
+      return;
+    }
+  } catch (err) {
+    alert(`Could not load the patch in this link: ${err.message}`);
+  }
+
+  try {
+    const saved = localStorage.getItem(LAST_PATCH_STORAGE_KEY);
+    if (saved) {
+      applyPatch(parsePatch(saved));
+    }
+  } catch (err) {
+    console.warn('Could not restore last session:', err);
+  }
+}
+
+populatePresetSelect();
+restoreInitialPatch();
+
 // ============================================================================
 // ANIMATION LOOP
 // ============================================================================
@@ -1731,26 +6043,27 @@ scalaFileInput.addEventListener('change', async (e) => {
 function animate() {
   requestAnimationFrame(animate);
 
-  const t = performance.now() / 1000;
-  material.uniforms.uTime.value = t;
+  motionTime = displayFieldTime(performance.now());
+  material.uniforms.uTime.value = motionTime;
 
-  // Update sensor positions with cosine animation if enabled
-  if (sensorAnimationSpeed > 0) {
-    const animatedMix = [];
-    for (let i = 0; i < MIDI_STEPS; i++) {
-      // Each sensor gets a unique phase offset based on its index
-      const phase = (i / MIDI_STEPS) * Math.PI * 2;
-      // Create oscillating value between 0 and 1 using cosine
-      const cosineValue = (Math.cos(t * sensorAnimationSpeed + phase) + 1.0) / 2.0;
-      // Blend with base distribution value
-      const blendedValue = sensorDistribution * 0.5 + cosineValue * 0.5;
-      animatedMix.push(blendedValue);
-    }
-    updateSensorPositions(sensorDistribution, animatedMix);
+  // Move the sensors if animation or breathing is on
+  if (isSensorMoving()) {
+    updateSensorPositions();
   }
 
+  // Turn the field if auto-spin is on
+  updateFieldSpin();
+
+  // Stream the CC probes that are due
+  streamCCProbes();
+
+  // Keep the cross-section on the sensor being played
+  updateCrossSection();
+
   // Update sequence glow animation
   updateSequenceGlow();
+  updateStepOverlayVisuals();
+  updateSensorTrackGlow();
 
   // Update interactive string pitch bend
   updateStringInteraction();
@@ -1762,6 +6075,26 @@ function animate() {
   renderer.render(scene, camera);
 }
 
+// ============================================================================
+// PAGE UNLOAD
+// ============================================================================
+
+// Don't leave notes hanging in the DAW when the tab is closed or reloaded
+window.addEventListener('pagehide', () => {
+  // Remember the patch for the next visit
+  try {
+    localStorage.setItem(LAST_PATCH_STORAGE_KEY, JSON.stringify(capturePatch()));
+  } catch (err) {
+    console.warn('Could not save session:', err);
+  }
+
+  if (sequencerRunning) {
+    stopSequencer();
+  } else {
+    silenceOutstandingNotes();
+  }
+});
+
 // ============================================================================
 // WINDOW RESIZE
 // ============================================================================